@@ -0,0 +1,28 @@
+// Proveedores OpenID Connect. Los endpoints son configurables para poder apuntar
+// a un servidor OIDC local de pruebas; por defecto se usan los de Google.
+// Un proveedor solo se habilita si tiene client id.
+const providers = {
+  google: {
+    name: 'google',
+    issuer: process.env.OIDC_GOOGLE_ISSUER || 'https://accounts.google.com',
+    authorizationEndpoint: process.env.OIDC_GOOGLE_AUTHORIZATION_ENDPOINT || 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenEndpoint: process.env.OIDC_GOOGLE_TOKEN_ENDPOINT || 'https://oauth2.googleapis.com/token',
+    jwksUri: process.env.OIDC_GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+    clientId: process.env.OIDC_GOOGLE_CLIENT_ID || null,
+    clientSecret: process.env.OIDC_GOOGLE_CLIENT_SECRET || null,
+    // Página del frontend que recibe ?code&state y los envía a /oauth/google/callback
+    redirectUri: process.env.OIDC_GOOGLE_REDIRECT_URI || 'http://localhost:5173/oauth/google/callback',
+    scope: 'openid email profile'
+  }
+};
+
+/**
+ * @param {string} name - Nombre del proveedor
+ * @returns {Object|null} Configuración del proveedor o null si no existe o no está habilitado
+ */
+const getProvider = (name) => {
+  const provider = Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+  return provider && provider.clientId ? provider : null;
+};
+
+module.exports = { providers, getProvider };
@@ -0,0 +1,61 @@
+// Parámetros de protección contra fuerza bruta (todos configurables por entorno)
+const int = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? fallback : parsed;
+};
+
+const RATE_LIMIT_WINDOW_MS = int(process.env.RATE_LIMIT_WINDOW_MS, 15 * 60 * 1000);
+
+module.exports = {
+  // Límites por ventana: por IP y por cuenta (email)
+  rateLimits: {
+    login: {
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      perIp: int(process.env.RATE_LIMIT_LOGIN_PER_IP, 20),
+      perAccount: int(process.env.RATE_LIMIT_LOGIN_PER_ACCOUNT, 10)
+    },
+    passwordResetRequest: {
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      perIp: int(process.env.RATE_LIMIT_RESET_REQUEST_PER_IP, 10),
+      perAccount: int(process.env.RATE_LIMIT_RESET_REQUEST_PER_ACCOUNT, 3)
+    },
+    verifyResetCode: {
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      perIp: int(process.env.RATE_LIMIT_VERIFY_CODE_PER_IP, 20),
+      perAccount: int(process.env.RATE_LIMIT_VERIFY_CODE_PER_ACCOUNT, 10)
+    },
+    verifyEmail: {
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      perIp: int(process.env.RATE_LIMIT_VERIFY_EMAIL_PER_IP, 20),
+      perAccount: int(process.env.RATE_LIMIT_VERIFY_EMAIL_PER_ACCOUNT, 10)
+    },
+    oauthCallback: {
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      perIp: int(process.env.RATE_LIMIT_OAUTH_PER_IP, 30),
+      perAccount: int(process.env.RATE_LIMIT_OAUTH_PER_ACCOUNT, 30)
+    },
+    resendVerification: {
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      perIp: int(process.env.RATE_LIMIT_RESEND_VERIFICATION_PER_IP, 10),
+      perAccount: int(process.env.RATE_LIMIT_RESEND_VERIFICATION_PER_ACCOUNT, 3)
+    }
+  },
+
+  // Intentos fallidos con el código de reseteo antes de invalidarlo
+  maxResetCodeAttempts: int(process.env.MAX_RESET_CODE_ATTEMPTS, 5),
+
+  // Verificación de email: intentos fallidos permitidos y validez del código
+  maxVerificationCodeAttempts: int(process.env.MAX_VERIFICATION_CODE_ATTEMPTS, 5),
+  verificationCodeTtlMs: int(process.env.VERIFICATION_CODE_TTL_MS, 24 * 60 * 60 * 1000),
+
+  // Sin contraseña, las operaciones sensibles exigen una sesión iniciada hace menos de esto
+  recentLoginMs: int(process.env.RECENT_LOGIN_MS, 5 * 60 * 1000),
+
+  // Bloqueo temporal de cuenta: a partir de `threshold` fallos seguidos el bloqueo
+  // dura baseMs * 2^(fallos - threshold), con un máximo de maxMs
+  lockout: {
+    threshold: int(process.env.LOCKOUT_THRESHOLD, 5),
+    baseMs: int(process.env.LOCKOUT_BASE_MS, 60 * 1000),
+    maxMs: int(process.env.LOCKOUT_MAX_MS, 24 * 60 * 60 * 1000)
+  }
+};
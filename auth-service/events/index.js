@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const createMemoryBus = require('./memoryBus');
+const createWebhookBus = require('./webhookBus');
+
+// Eventos de dominio que publica auth-service
+const EVENTS = {
+  USER_UPDATED: 'user-updated',
+  USER_DELETED: 'user-deleted'
+};
+
+/**
+ * Crea el bus configurado en EVENT_BUS (webhook | memory).
+ * Interfaz: publish(event), subscribe(type, handler) -> unsubscribe y, opcional, start()
+ */
+const createEventBus = (driver = process.env.EVENT_BUS || 'webhook') => {
+  switch (driver) {
+    case 'webhook':
+      return createWebhookBus();
+    case 'memory':
+      return createMemoryBus();
+    default:
+      throw new Error(`Unknown EVENT_BUS: ${driver}`);
+  }
+};
+
+const bus = createEventBus();
+
+/**
+ * Publica un evento de dominio. Por defecto nunca lanza: un fallo del bus no debe
+ * romper la operación que lo originó. Con { required: true } lanza si el evento
+ * no quedó guardado, para abortar operaciones que no se pueden perder (user-deleted).
+ * @param {string} type - Tipo de evento (EVENTS)
+ * @param {Object} data - Payload
+ * @param {Object} [options] - { required }
+ */
+const publishEvent = async (type, data, { required = false } = {}) => {
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    occurredAt: new Date().toISOString(),
+    data
+  };
+
+  try {
+    await bus.publish(event);
+  } catch (error) {
+    console.error(`Publish ${type} error:`, error);
+    if (required) throw error;
+  }
+};
+
+// Reintentos de entrega del bus (solo webhook persiste eventos)
+const startEventWorker = () => (bus.start ? bus.start() : () => {});
+
+module.exports = {
+  EVENTS,
+  bus,
+  publishEvent,
+  startEventWorker
+};
@@ -0,0 +1,26 @@
+const EventEmitter = require('events');
+
+/**
+ * Bus en proceso: los suscriptores del mismo proceso reciben los eventos.
+ * Útil en local y en tests; no cruza servicios.
+ */
+const createMemoryBus = () => {
+  const emitter = new EventEmitter();
+
+  return {
+    name: 'memory',
+
+    async publish(event) {
+      emitter.emit(event.type, event);
+      emitter.emit('*', event);
+    },
+
+    // type = '*' recibe todos los eventos
+    subscribe(type, handler) {
+      emitter.on(type, handler);
+      return () => emitter.off(type, handler);
+    }
+  };
+};
+
+module.exports = createMemoryBus;
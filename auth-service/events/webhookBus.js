@@ -0,0 +1,144 @@
+const { signEvent } = require('huequitas-shared/events');
+const createMemoryBus = require('./memoryBus');
+const OutboxEvent = require('../models/OutboxEvent');
+
+// Destinos separados por comas, p. ej. http://core-service:3002/internal/events
+const WEBHOOK_URLS = (process.env.EVENT_WEBHOOK_URLS || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+const WEBHOOK_SECRET = process.env.EVENT_WEBHOOK_SECRET || null;
+const WEBHOOK_TIMEOUT_MS = 5000;
+// Reintentos sin límite con backoff: 1s, 2s, 4s... hasta un máximo de 1h entre intentos
+const RETRY_BASE_MS = parseInt(process.env.EVENT_RETRY_BASE_MS) || 1000;
+const RETRY_MAX_MS = parseInt(process.env.EVENT_RETRY_MAX_MS) || 60 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.EVENT_POLL_INTERVAL_MS) || 5000;
+const LOCK_MS = 60000;
+// Las entregadas se borran a los 7 días
+const DELIVERED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const post = async (url, body) => {
+  const timestamp = String(Date.now());
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Event-Timestamp': timestamp,
+      'X-Event-Signature': signEvent(timestamp, body)
+    },
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook ${url} responded ${response.status}`);
+  }
+};
+
+// Reserva la siguiente entrega lista (o una abandonada por otro worker)
+const claimNext = () => {
+  const now = new Date();
+  return OutboxEvent.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const deliver = async (delivery) => {
+  try {
+    await post(delivery.url, delivery.body);
+
+    const now = Date.now();
+    await OutboxEvent.updateOne({ _id: delivery._id }, {
+      status: 'delivered',
+      deliveredAt: new Date(now),
+      lockedUntil: null,
+      lastError: null,
+      expiresAt: new Date(now + DELIVERED_RETENTION_MS)
+    });
+  } catch (error) {
+    const delay = Math.min(RETRY_BASE_MS * Math.pow(2, delivery.attempts - 1), RETRY_MAX_MS);
+    await OutboxEvent.updateOne({ _id: delivery._id }, {
+      status: 'pending',
+      nextAttemptAt: new Date(Date.now() + delay),
+      lockedUntil: null,
+      lastError: error.message
+    });
+    console.error(`❌ Event ${delivery.type} (${delivery.eventId}) not delivered to ${delivery.url} (intento ${delivery.attempts}):`, error.message);
+  }
+};
+
+let processing = false;
+
+// Entrega todo lo que esté listo. Sin secreto las entregas esperan a que se configure.
+const processDeliveries = async () => {
+  if (processing || !WEBHOOK_SECRET) return;
+  processing = true;
+
+  try {
+    let delivery;
+    while ((delivery = await claimNext())) {
+      await deliver(delivery);
+    }
+  } catch (error) {
+    console.error('Event outbox error:', error);
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Bus en proceso + webhooks HTTP firmados (HMAC-SHA256 de "timestamp.body")
+ * hacia cada servicio consumidor. publish() guarda una entrega por destino en
+ * OutboxEvent y vuelve; el worker la reintenta hasta que el consumidor responda 2xx.
+ */
+const createWebhookBus = () => {
+  const local = createMemoryBus();
+
+  if (WEBHOOK_URLS.length === 0) {
+    console.warn('⚠️  EVENT_WEBHOOK_URLS is not set, events will only reach in-process subscribers');
+  } else if (!WEBHOOK_SECRET) {
+    console.warn('⚠️  EVENT_WEBHOOK_SECRET is not set, events are stored but not sent until it is configured');
+  }
+
+  return {
+    name: 'webhook',
+
+    async publish(event) {
+      const body = JSON.stringify(event);
+      if (WEBHOOK_URLS.length > 0) {
+        await OutboxEvent.insertMany(WEBHOOK_URLS.map(url => ({
+          eventId: event.id,
+          type: event.type,
+          url,
+          body
+        })));
+        // Primer intento inmediato, fuera de la petición
+        setImmediate(processDeliveries);
+      }
+
+      await local.publish(event);
+    },
+
+    subscribe: local.subscribe,
+
+    // Worker periódico para los reintentos
+    start() {
+      const timer = setInterval(processDeliveries, POLL_INTERVAL_MS);
+      timer.unref();
+      processDeliveries();
+      return () => clearInterval(timer);
+    }
+  };
+};
+
+module.exports = createWebhookBus;
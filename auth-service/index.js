@@ -12,17 +12,56 @@ const {
   validateName, 
   validatePasswordStrength,
   validateRequired,
-  validateConfirmPassword
+  validateConfirmPassword,
+  validateBio,
+  validateAvatarUrl
 } = require('./utils/validators');
-const { sendResetEmail } = require('./config/mailer');
+const { sendResetEmail, sendVerificationEmail } = require('./config/mailer');
+const { startOutboxWorker } = require('./mailer/outbox');
+const { EVENTS, publishEvent, startEventWorker } = require('./events');
+const { collectServiceExports } = require('./utils/services');
+const { getProvider } = require('./config/oidc');
+const {
+  createAuthorizationRequest,
+  completeAuthorization,
+  findOrCreateUser
+} = require('./utils/oidc');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('./mailer/templates');
+const {
+  rateLimits,
+  maxResetCodeAttempts,
+  maxVerificationCodeAttempts,
+  verificationCodeTtlMs,
+  recentLoginMs
+} = require('./config/security');
+const { rateLimit, sendTooManyRequests } = require('./rateLimit');
 
 const User = require('./models/User');
+const Session = require('./models/Session');
+const OutboxEmail = require('./models/OutboxEmail');
+const authenticateToken = require('./middleware/auth');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSessions,
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  verifyAccessToken
+} = require('./utils/tokens');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('./utils/totp');
+const { generateRecoveryCodes, verifySecondFactor } = require('./utils/twoFactor');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/huequitas_auth_db';
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 
+// Detrás del gateway req.ip sale de X-Forwarded-For (necesario para limitar por IP).
+// TRUST_PROXY debe ser la IP del gateway: sin él no se confía en nadie, porque
+// cualquiera que llegue directo al puerto podría falsificar la cabecera.
+app.set('trust proxy', process.env.TRUST_PROXY || false);
+
 // Middleware
 app.use(cors({
   origin: 'http://localhost:5173',
@@ -35,9 +74,17 @@ mongoose.connect(MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('✅ Auth Service: Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Auth Service: Connected to MongoDB');
+  // Entrega (y reintentos) de los emails y eventos encolados
+  startOutboxWorker();
+  startEventWorker();
+})
 .catch(err => console.error('❌ Auth Service: MongoDB connection error:', err));
 
+// Idioma de los emails según Accept-Language (es por defecto)
+const getLanguage = (req) => req.acceptsLanguages(...SUPPORTED_LANGUAGES) || DEFAULT_LANGUAGE;
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', service: 'auth-service' });
@@ -83,24 +130,32 @@ app.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'User already exists' });
     }
 
-    // Create new user
+    // Create new user (sin verificar hasta que confirme el código)
     const user = new User({ email, password, name });
+    const verificationCode = user.createVerificationCode(verificationCodeTtlMs);
     await user.save();
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, name: user.name },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Si no se puede encolar el email el registro sigue: puede pedir otro con /resend-verification
+    try {
+      await sendVerificationEmail(user.email, user.name, verificationCode, getLanguage(req));
+    } catch (emailError) {
+      console.error('Error al encolar email de verificación:', emailError);
+    }
+
+    // Access token corto + refresh token rotativo
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         email: user.email,
-        name: user.name
+        name: user.name,
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -109,8 +164,33 @@ app.post('/register', async (req, res) => {
   }
 });
 
+// Respuesta de un login correcto. Si la cuenta tiene 2FA, en lugar de los tokens
+// se devuelve un challenge que se canjea en /login/2fa junto con el código.
+const sendLoginResponse = async (req, res, user, { status = 200, secondFactorDone = false } = {}) => {
+  if (user.twoFactor.enabled && !secondFactorDone) {
+    return res.status(status).json({ twoFactorRequired: true, ...signChallengeToken(user) });
+  }
+
+  // Access token corto + refresh token rotativo
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+  res.status(status).json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      emailVerified: user.emailVerified
+    }
+  });
+};
+
 // Login endpoint
-app.post('/login', async (req, res) => {
+app.post('/login', rateLimit('login', rateLimits.login), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -131,36 +211,198 @@ app.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // Cuenta bloqueada temporalmente por fallos previos
+    const lockRemaining = user.lockRemainingMs();
+    if (lockRemaining > 0) {
+      return sendTooManyRequests(res, lockRemaining);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.registerFailedLogin();
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, name: user.name },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Con 2FA los fallos se reinician recién al completar el segundo paso
+    if (!user.twoFactor.enabled) {
+      await user.resetLoginAttempts();
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name
-      }
-    });
+    await sendLoginResponse(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Login step 2: challenge token + TOTP or recovery code
+app.post('/login/2fa', rateLimit('login-2fa', rateLimits.login), async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let validation = validateRequired(challengeToken, 'Challenge token');
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    validation = validateRequired(code, 'Código');
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    const userId = verifyChallengeToken(String(challengeToken));
+    if (!userId) {
+      return res.status(401).json({ error: 'El inicio de sesión expiró. Vuelve a ingresar tu contraseña.' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ error: 'El inicio de sesión expiró. Vuelve a ingresar tu contraseña.' });
+    }
+
+    const lockRemaining = user.lockRemainingMs();
+    if (lockRemaining > 0) {
+      return sendTooManyRequests(res, lockRemaining);
+    }
+
+    // Los códigos fallidos cuentan para el bloqueo igual que las contraseñas
+    const result = await verifySecondFactor(user, String(code));
+    if (!result.valid) {
+      await user.registerFailedLogin();
+      return res.status(401).json({ error: 'Código inválido' });
+    }
+
+    await user.resetLoginAttempts();
+    await sendLoginResponse(req, res, user, { secondFactorDone: true });
+  } catch (error) {
+    console.error('Login 2FA error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// OIDC login, paso 1: URL del proveedor (authorization code + PKCE)
+app.get('/oauth/:provider/authorize', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: 'Proveedor no disponible' });
+    }
+
+    const { authorizationUrl, state } = await createAuthorizationRequest(provider);
+    res.json({ authorizationUrl, state });
+  } catch (error) {
+    console.error('OAuth authorize error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// OIDC login, paso 2: el frontend envía el code y state recibidos en su redirect URI
+app.post('/oauth/:provider/callback', rateLimit('oauth', rateLimits.oauthCallback), async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: 'Proveedor no disponible' });
+    }
+
+    const { code, state } = req.body;
+
+    let validation = validateRequired(code, 'Código de autorización');
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    validation = validateRequired(state, 'State');
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    let result;
+    try {
+      result = await completeAuthorization(provider, code, state);
+    } catch (providerError) {
+      console.error('OAuth provider error:', providerError.message);
+      return res.status(502).json({ error: 'No se pudo contactar al proveedor. Intenta de nuevo.' });
+    }
+    if (!result.valid) {
+      return res.status(result.status).json({ error: result.message });
+    }
+
+    const linked = await findOrCreateUser(provider, result.claims);
+    if (!linked.valid) {
+      return res.status(linked.status).json({ error: linked.message });
+    }
+
+    // Mismo formato de tokens que /login (incluido el paso de 2FA)
+    await sendLoginResponse(req, res, linked.user, { status: linked.created ? 201 : 200 });
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Verify email endpoint
+app.post('/verify-email', rateLimit('verify-email', rateLimits.verifyEmail), async (req, res) => {
+  try {
+    const { email, code } = req.body;
+
+    let validation = validateRequired(email, 'Email');
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    validation = validateEmail(email);
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    validation = validateRequired(code, 'Código de verificación');
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    // Por seguridad, no revelar si el email existe o ya está verificado: una cuenta
+    // verificada ya no tiene código y recibe el mismo error que un código incorrecto
+    const user = await User.findOne({ email });
+
+    if (!user || !(await user.verifyEmailCode(code, maxVerificationCodeAttempts))) {
+      return res.status(400).json({ error: 'El código de verificación es inválido o ha expirado. Solicita uno nuevo.' });
+    }
+
+    // Los access tokens emitidos antes siguen diciendo emailVerified: false hasta el próximo /refresh
+    res.json({
+      message: 'Email verificado correctamente',
+      success: true
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Error al verificar el email' });
+  }
+});
+
+// Resend verification email endpoint
+app.post('/resend-verification', rateLimit('resend-verification', rateLimits.resendVerification), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    let validation = validateRequired(email, 'Email');
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    validation = validateEmail(email);
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    const genericResponse = {
+      message: 'Si el email está registrado y pendiente de verificación, recibirás un nuevo código',
+      success: true
+    };
+
+    // Por seguridad, no revelar si el email existe o ya está verificado
+    const user = await User.findOne({ email });
+    if (!user || user.emailVerified) {
+      return res.json(genericResponse);
+    }
+
+    const verificationCode = user.createVerificationCode(verificationCodeTtlMs);
+    await user.save();
+
+    // Se encola: la entrega y sus reintentos no bloquean la respuesta
+    await sendVerificationEmail(user.email, user.name, verificationCode, getLanguage(req));
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Error al reenviar el email de verificación' });
+  }
+});
+
 // Password reset request endpoint
-app.post('/password-reset-request', async (req, res) => {
+app.post('/password-reset-request', rateLimit('reset-request', rateLimits.passwordResetRequest), async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -180,7 +422,7 @@ app.post('/password-reset-request', async (req, res) => {
     }
 
     // Generar código de 6 dígitos
-    const resetCode = String(Math.floor(100000 + Math.random() * 900000));
+    const resetCode = String(crypto.randomInt(100000, 1000000));
     
     // Generar token también para almacenamiento (por si acaso)
     const resetToken = crypto.randomBytes(32).toString('hex');
@@ -189,15 +431,11 @@ app.post('/password-reset-request', async (req, res) => {
     user.resetToken = resetToken;
     user.resetCode = resetCode;
     user.resetTokenExpiry = Date.now() + 900000; // 15 minutos
+    user.resetCodeAttempts = 0;
     await user.save();
 
-    // Enviar email con el código
-    try {
-      await sendResetEmail(user.email, resetCode);
-    } catch (emailError) {
-      console.error('Error al enviar email:', emailError);
-      return res.status(500).json({ error: 'No pudimos enviar el email de reseteo. Por favor intenta más tarde.' });
-    }
+    // Encolar email con el código (el outbox reintenta si el SMTP está caído)
+    await sendResetEmail(user.email, resetCode, getLanguage(req));
 
     // Respuesta genérica por seguridad
     res.json({ 
@@ -211,7 +449,7 @@ app.post('/password-reset-request', async (req, res) => {
 });
 
 // Verify reset code endpoint (NEW)
-app.post('/verify-reset-code', async (req, res) => {
+app.post('/verify-reset-code', rateLimit('reset-code', rateLimits.verifyResetCode), async (req, res) => {
   try {
     const { email, resetCode } = req.body;
 
@@ -222,14 +460,10 @@ app.post('/verify-reset-code', async (req, res) => {
     validation = validateRequired(resetCode, 'Código de reseteo');
     if (!validation.valid) return res.status(400).json({ error: validation.message });
 
-    // Buscar usuario con código válido y no expirado
-    const user = await User.findOne({
-      email,
-      resetCode,
-      resetTokenExpiry: { $gt: Date.now() }
-    });
+    // Verificar el código; cada fallo cuenta y tras varios se invalida
+    const user = await User.findOne({ email });
 
-    if (!user) {
+    if (!user || !(await user.checkResetCode(resetCode, maxResetCodeAttempts))) {
       return res.status(400).json({ error: 'El código de reseteo es inválido o ha expirado. Por favor solicita un nuevo código.' });
     }
 
@@ -252,7 +486,7 @@ app.post('/verify-reset-code', async (req, res) => {
 });
 
 // Password reset endpoint
-app.post('/password-reset', async (req, res) => {
+app.post('/password-reset', rateLimit('reset-code', rateLimits.verifyResetCode), async (req, res) => {
   try {
     const { email, resetCode, newPassword, confirmPassword } = req.body;
 
@@ -277,14 +511,10 @@ app.post('/password-reset', async (req, res) => {
     validation = validatePasswordStrength(newPassword);
     if (!validation.valid) return res.status(400).json({ error: validation.message });
 
-    // Buscar usuario con código válido y no expirado
-    const user = await User.findOne({
-      email,
-      resetCode,
-      resetTokenExpiry: { $gt: Date.now() }
-    });
+    // Verificar el código; cada fallo cuenta y tras varios se invalida
+    const user = await User.findOne({ email });
 
-    if (!user) {
+    if (!user || !(await user.checkResetCode(resetCode, maxResetCodeAttempts))) {
       return res.status(400).json({ error: 'El código de reseteo es inválido o ha expirado. Solicita un nuevo reseteo.' });
     }
 
@@ -293,8 +523,16 @@ app.post('/password-reset', async (req, res) => {
     user.resetToken = null;
     user.resetCode = null;
     user.resetTokenExpiry = null;
+    user.resetCodeAttempts = 0;
+    // Quien demuestra controlar el email desbloquea la cuenta (y queda verificado)
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    user.emailVerified = true;
     await user.save();
 
+    // Cerrar todas las sesiones abiertas con la contraseña anterior
+    await revokeSessions({ userId: user._id }, 'password-reset');
+
     res.json({ 
       message: 'Tu contraseña ha sido restablecida exitosamente. Por favor, inicia sesión con tu nueva contraseña.',
       success: true 
@@ -305,9 +543,470 @@ app.post('/password-reset', async (req, res) => {
   }
 });
 
+// Change a user's role (admin only)
+app.patch('/users/:id/role', authenticateToken, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    if (!User.ROLES.includes(role)) {
+      return res.status(400).json({ error: `El rol debe ser uno de: ${User.ROLES.join(', ')}` });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'ID de usuario inválido' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { role }, { new: true });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // El nuevo rol aplica cuando el usuario obtenga un nuevo token
+    res.json({ user: { id: user._id, email: user.email, name: user.name, role: user.role, emailVerified: user.emailVerified } });
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Current user's account
+app.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: user.toAccountJSON() });
+  } catch (error) {
+    console.error('Get me error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update name, avatar and bio of the current user
+app.patch('/me', authenticateToken, async (req, res) => {
+  try {
+    const { name, avatar, bio } = req.body;
+    const updates = {};
+
+    if (name !== undefined) {
+      const validation = validateName(name);
+      if (!validation.valid) return res.status(400).json({ error: validation.message });
+      updates.name = name.trim();
+    }
+
+    if (avatar !== undefined) {
+      // null o '' quitan el avatar
+      if (avatar === null || avatar === '') {
+        updates.avatar = null;
+      } else {
+        const validation = validateAvatarUrl(avatar);
+        if (!validation.valid) return res.status(400).json({ error: validation.message });
+        updates.avatar = avatar;
+      }
+    }
+
+    if (bio !== undefined) {
+      const validation = validateBio(bio);
+      if (!validation.valid) return res.status(400).json({ error: validation.message });
+      updates.bio = bio.trim();
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No hay cambios para guardar' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.userId, updates, { new: true, runValidators: true });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // core-service y chat-service actualizan sus copias del nombre/avatar
+    if (updates.name !== undefined || updates.avatar !== undefined) {
+      publishEvent(EVENTS.USER_UPDATED, {
+        userId: String(user._id),
+        name: user.name,
+        avatar: user.avatar
+      });
+    }
+
+    // El nuevo nombre llega a los access tokens en el próximo /refresh
+    res.json({ message: 'Perfil actualizado correctamente', user: user.toAccountJSON() });
+  } catch (error) {
+    console.error('Update me error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change password (requires the current one)
+app.post('/me/password', authenticateToken, rateLimit('change-password', rateLimits.login), async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+
+    let validation = validateRequired(currentPassword, 'Contraseña actual');
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    validation = validateRequired(newPassword, 'Nueva contraseña');
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    validation = validateConfirmPassword(newPassword, confirmPassword);
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    validation = validatePasswordStrength(newPassword);
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Cuentas creadas con Google: la primera contraseña se crea con el flujo de reseteo
+    if (!user.hasPassword()) {
+      return res.status(400).json({ error: 'Tu cuenta no tiene contraseña. Usa "Olvidé mi contraseña" para crear una.' });
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ error: 'La contraseña actual es incorrecta' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // La sesión actual sigue abierta; el resto de dispositivos debe volver a iniciar sesión
+    const revoked = await revokeSessions(
+      { userId: user._id, _id: { $ne: req.user.sid } },
+      'password-change'
+    );
+
+    res.json({ message: 'Contraseña actualizada correctamente', revokedSessions: revoked });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const DELETION_MODES = ['anonymize', 'delete'];
+
+// Re-autenticación para operaciones sensibles: la contraseña, o si la cuenta
+// no tiene (login con Google) una sesión iniciada hace muy poco
+const confirmIdentity = async (user, password, sessionId) => {
+  if (user.hasPassword()) {
+    const validation = validateRequired(password, 'Contraseña');
+    if (!validation.valid) return { ...validation, status: 400 };
+
+    const isMatch = await user.comparePassword(password);
+    return isMatch ? { valid: true } : { valid: false, status: 401, message: 'La contraseña es incorrecta' };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || Date.now() - session.createdAt.getTime() > recentLoginMs) {
+    return { valid: false, status: 401, message: 'Vuelve a iniciar sesión para confirmar esta operación' };
+  }
+  return { valid: true };
+};
+
+// Delete the current user's account (requires the password again)
+// mode=anonymize conserva reseñas y mensajes sin autor; mode=delete los elimina
+app.delete('/me', authenticateToken, rateLimit('delete-account', rateLimits.login), async (req, res) => {
+  try {
+    const { password, mode = 'anonymize' } = req.body;
+
+    if (!DELETION_MODES.includes(mode)) {
+      return res.status(400).json({ error: `El modo debe ser uno de: ${DELETION_MODES.join(', ')}` });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const confirmation = await confirmIdentity(user, password, req.user.sid);
+    if (!confirmation.valid) {
+      return res.status(confirmation.status).json({ error: confirmation.message });
+    }
+
+    // core-service y chat-service borran o anonimizan su parte. El evento se guarda
+    // antes de borrar la cuenta: si no se puede guardar, la cuenta no se borra
+    await publishEvent(EVENTS.USER_DELETED, { userId: String(user._id), mode }, { required: true });
+
+    await Session.deleteMany({ userId: user._id });
+    await OutboxEmail.deleteMany({ to: user.email });
+    await User.deleteOne({ _id: user._id });
+
+    res.json({ message: 'Tu cuenta ha sido eliminada', mode });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export all personal data (account + core-service + chat-service) as a JSON bundle
+app.get('/me/export', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const sessions = await Session.find({ userId: user._id }).sort({ createdAt: 1 });
+
+    let services;
+    try {
+      services = await collectServiceExports(req.headers.authorization);
+    } catch (err) {
+      console.error('Export collection error:', err.message);
+      return res.status(503).json({ error: 'No se pudo completar la exportación. Intenta más tarde.' });
+    }
+
+    const exportedAt = new Date();
+    res.attachment(`huequitas-export-${exportedAt.toISOString().slice(0, 10)}.json`);
+    res.json({
+      exportedAt,
+      account: user.toAccountJSON(),
+      sessions: sessions.map(session => ({
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        revokedAt: session.revokedAt,
+        revokedReason: session.revokedReason
+      })),
+      reviews: services.core.reviews,
+      likes: services.core.likes,
+      media: services.core.media,
+      ownedRestaurants: services.core.ownedRestaurants,
+      helpfulVotes: services.core.helpfulVotes,
+      reviewReports: services.core.reviewReports,
+      chat: services.chat
+    });
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 2FA enrollment: genera un secreto pendiente y su URI otpauth://
+app.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({ error: 'La verificación en dos pasos ya está activada' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({ secret, otpauthUri: buildOtpauthUri(secret, user.email) });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 2FA confirmation: el primer código válido activa 2FA y devuelve los códigos de recuperación
+app.post('/2fa/confirm', authenticateToken, rateLimit('2fa-confirm', rateLimits.login), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const validation = validateRequired(code, 'Código');
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({ error: 'La verificación en dos pasos ya está activada' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Primero inicia la configuración con /2fa/setup' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, String(code));
+    if (step === null) {
+      return res.status(400).json({ error: 'Código inválido' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: null,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await user.save();
+
+    // Los códigos de recuperación solo se muestran esta vez
+    res.json({ message: 'Verificación en dos pasos activada', recoveryCodes: codes });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Disable 2FA (requires the password)
+app.post('/2fa/disable', authenticateToken, rateLimit('2fa-disable', rateLimits.login), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'La verificación en dos pasos no está activada' });
+    }
+
+    const confirmation = await confirmIdentity(user, req.body.password, req.user.sid);
+    if (!confirmation.valid) {
+      return res.status(confirmation.status).json({ error: confirmation.message });
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null,
+      enabledAt: null
+    };
+    await user.save();
+
+    res.json({ message: 'Verificación en dos pasos desactivada' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Public profile
+app.get('/users/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'ID de usuario inválido' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: user.toPublicProfile() });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Old password reset endpoint (kept for backward compatibility but uses old method)
 
+// Refresh endpoint: rota el refresh token y emite un nuevo access token
+app.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const validation = validateRequired(refreshToken, 'Refresh token');
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    const result = await rotateRefreshToken(String(refreshToken), req);
+    if (!result.valid) {
+      return res.status(401).json({ error: result.message });
+    }
+
+    const user = await User.findById(result.session.userId);
+    if (!user) {
+      await revokeSessions({ _id: result.session._id }, 'user-not-found');
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const { token, expiresIn } = signAccessToken(user, result.session._id);
+    res.json({ token, refreshToken: result.refreshToken, expiresIn });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout endpoint: revoca la sesión actual
+app.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.user.sid }, 'logout');
+    res.json({ message: 'Sesión cerrada correctamente' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout from all devices
+app.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const count = await revokeSessions({ userId: req.user.userId }, 'logout-all');
+    res.json({ message: 'Se cerraron todas las sesiones', count });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List active sessions (devices) of the current user
+app.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: String(session._id) === req.user.sid
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a single session of the current user
+app.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'ID de sesión inválido' });
+    }
+
+    const count = await revokeSessions({ _id: req.params.id, userId: req.user.userId }, 'revoked-by-user');
+    if (count === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Sesión revocada correctamente' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Verify token endpoint (useful for other services)
+// Rechaza tokens cuya sesión fue revocada (logout, reutilización, reseteo de contraseña)
 app.get('/verify', async (req, res) => {
   try {
     const token = req.headers.authorization?.replace('Bearer ', '');
@@ -316,16 +1015,25 @@ app.get('/verify', async (req, res) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
+    if (!decoded) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    res.json({ valid: true, user: { id: user._id, email: user.email, name: user.name } });
+    res.json({
+      valid: true,
+      sessionId: decoded.sid,
+      user: { id: user._id, email: user.email, name: user.name, role: user.role, emailVerified: user.emailVerified }
+    });
   } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+    console.error('Verify token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
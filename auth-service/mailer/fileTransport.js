@@ -0,0 +1,36 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * Sink para desarrollo: guarda cada email como .eml en MAIL_DIR
+ * (se abre con cualquier cliente de correo) y lo resume por consola.
+ * Con writeFiles = false solo imprime en consola.
+ */
+const createFileTransport = ({ writeFiles = true } = {}) => {
+  const directory = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox'));
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: writeFiles ? 'file' : 'console',
+
+    async send(message) {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+      if (writeFiles) {
+        const info = await composer.sendMail(message);
+        await fs.mkdir(directory, { recursive: true });
+        const filePath = path.join(directory, `${messageId}.eml`);
+        await fs.writeFile(filePath, info.message);
+        console.log(`📧 [mail] ${message.to} — ${message.subject} (${filePath})`);
+      } else {
+        console.log(`📧 [mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+      }
+
+      return { messageId };
+    }
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,29 @@
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createMemoryTransport = require('./memoryTransport');
+
+/**
+ * Crea el transporte configurado en MAIL_DRIVER (smtp | file | console | memory).
+ * Interfaz: send({ from, to, subject, html, text }) -> { messageId }
+ */
+const createTransport = (driver = process.env.MAIL_DRIVER || 'smtp') => {
+  switch (driver) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createFileTransport({ writeFiles: false });
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown MAIL_DRIVER: ${driver}`);
+  }
+};
+
+const transport = createTransport();
+
+module.exports = {
+  createTransport,
+  transport
+};
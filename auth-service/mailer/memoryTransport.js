@@ -0,0 +1,34 @@
+/**
+ * Transporte en memoria para tests: los emails quedan en `sent`.
+ * Con `failNext(n)` las siguientes n entregas fallan (para probar reintentos).
+ */
+const createMemoryTransport = () => {
+  const sent = [];
+  let failures = 0;
+
+  return {
+    name: 'memory',
+    sent,
+
+    failNext(count = 1) {
+      failures = count;
+    },
+
+    clear() {
+      sent.length = 0;
+      failures = 0;
+    },
+
+    async send(message) {
+      if (failures > 0) {
+        failures--;
+        throw new Error('Simulated delivery failure');
+      }
+      const messageId = `memory-${sent.length + 1}`;
+      sent.push({ ...message, messageId });
+      return { messageId };
+    }
+  };
+};
+
+module.exports = createMemoryTransport;
@@ -0,0 +1,113 @@
+const OutboxEmail = require('../models/OutboxEmail');
+const { transport } = require('./index');
+const { renderTemplate } = require('./templates');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'noreply-huequitas@gmail.com';
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+// Reintentos con backoff: 30s, 1m, 2m, 4m...
+const RETRY_BASE_MS = parseInt(process.env.MAIL_RETRY_BASE_MS) || 30000;
+const POLL_INTERVAL_MS = parseInt(process.env.MAIL_POLL_INTERVAL_MS) || 5000;
+const LOCK_MS = 60000;
+// Los enviados se borran a los 7 días
+const SENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+let processing = false;
+
+// Reserva el siguiente email listo para enviar (o uno abandonado por otro worker)
+const claimNext = () => {
+  const now = new Date();
+  return OutboxEmail.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const deliver = async (email) => {
+  try {
+    const { messageId } = await transport.send({
+      from: MAIL_FROM,
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      text: email.text
+    });
+
+    const now = Date.now();
+    await OutboxEmail.updateOne({ _id: email._id }, {
+      status: 'sent',
+      messageId,
+      sentAt: new Date(now),
+      lockedUntil: null,
+      lastError: null,
+      expiresAt: new Date(now + SENT_RETENTION_MS)
+    });
+    console.log(`✅ Email "${email.template}" enviado a: ${email.to}`);
+  } catch (error) {
+    const failed = email.attempts >= MAX_ATTEMPTS;
+    await OutboxEmail.updateOne({ _id: email._id }, {
+      status: failed ? 'failed' : 'pending',
+      nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * Math.pow(2, email.attempts - 1)),
+      lockedUntil: null,
+      lastError: error.message
+    });
+    console.error(`❌ Error al enviar email "${email.template}" a ${email.to} (intento ${email.attempts}/${MAX_ATTEMPTS}):`, error.message);
+  }
+};
+
+/**
+ * Envía todo lo que esté listo en el outbox. Llamadas concurrentes se ignoran.
+ */
+const processOutbox = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    let email;
+    while ((email = await claimNext())) {
+      await deliver(email);
+    }
+  } catch (error) {
+    console.error('Outbox error:', error);
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Renderiza un template y lo deja en el outbox. No espera a la entrega:
+ * la petición HTTP no depende de que el SMTP responda.
+ * @param {Object} options - { to, template, lang, data }
+ * @returns {Promise<Object>} Documento OutboxEmail
+ */
+const enqueueEmail = async ({ to, template, lang, data }) => {
+  const { subject, html, text } = renderTemplate(template, lang, data);
+  const email = await OutboxEmail.create({ to, template, subject, html, text });
+
+  // Primer intento inmediato, fuera de la petición
+  setImmediate(processOutbox);
+
+  return email;
+};
+
+// Worker periódico para los reintentos
+const startOutboxWorker = () => {
+  const timer = setInterval(processOutbox, POLL_INTERVAL_MS);
+  timer.unref();
+  processOutbox();
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  enqueueEmail,
+  processOutbox,
+  startOutboxWorker
+};
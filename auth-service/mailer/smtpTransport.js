@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Transporte SMTP. Con SMTP_HOST usa ese servidor; si no, el servicio
+ * conocido de SMTP_SERVICE (por defecto Gmail, como hasta ahora).
+ */
+const createSmtpTransport = () => {
+  const auth = {
+    user: process.env.SMTP_USER || process.env.EMAIL_USER,
+    pass: process.env.SMTP_PASSWORD || process.env.EMAIL_PASSWORD
+  };
+
+  const transporter = process.env.SMTP_HOST
+    ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: auth.user ? auth : undefined
+    })
+    : nodemailer.createTransport({
+      service: process.env.SMTP_SERVICE || 'gmail',
+      auth
+    });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = createSmtpTransport;
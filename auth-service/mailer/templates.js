@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'emails');
+const SUPPORTED_LANGUAGES = ['es', 'en'];
+const DEFAULT_LANGUAGE = 'es';
+
+// Los templates no cambian en caliente: se leen una vez
+const cache = new Map();
+
+const readTemplate = (lang, file) => {
+  const key = `${lang}/${file}`;
+  if (!cache.has(key)) {
+    cache.set(key, fs.readFileSync(path.join(TEMPLATES_DIR, lang, file), 'utf8'));
+  }
+  return cache.get(key);
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// {{var}} se escapa según el formato; {{{var}}} se inserta tal cual
+const interpolate = (template, data, escape) =>
+  template.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (match, raw, escaped) => {
+    const value = data[raw || escaped];
+    if (value === undefined || value === null) return '';
+    return raw ? String(value) : escape(value);
+  });
+
+const normalizeLanguage = (lang) => (SUPPORTED_LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE);
+
+/**
+ * Renderiza un template de email en sus partes HTML y texto plano
+ * @param {string} name - Nombre del template (p. ej. "reset-code")
+ * @param {string} lang - Idioma (es | en); si no está soportado se usa es
+ * @param {Object} data - Variables del template
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+const renderTemplate = (name, lang, data = {}) => {
+  const language = normalizeLanguage(lang);
+  const subjects = JSON.parse(readTemplate(language, 'subjects.json'));
+  if (!subjects[name]) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const subject = interpolate(subjects[name], data, String);
+  const content = interpolate(readTemplate(language, `${name}.html`), data, escapeHtml);
+  const html = interpolate(readTemplate(language, 'layout.html'), { subject, content }, escapeHtml);
+  const text = interpolate(readTemplate(language, `${name}.txt`), data, String);
+
+  return { subject, html, text };
+};
+
+module.exports = {
+  renderTemplate,
+  normalizeLanguage,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE
+};
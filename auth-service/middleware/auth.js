@@ -0,0 +1,37 @@
+const { verifyAccessToken } = require('../utils/tokens');
+const { verifyIdentityHeaders } = require('huequitas-shared/identity');
+
+// Acepta la identidad firmada por el gateway o verifica el access token
+// y que su sesión no esté revocada
+const authenticateToken = async (req, res, next) => {
+  const identity = verifyIdentityHeaders(req.headers);
+  if (identity) {
+    if (!identity.user) {
+      return res.status(identity.status).json({ error: identity.error });
+    }
+    req.user = identity.user;
+    return next();
+  }
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  try {
+    const decoded = await verifyAccessToken(token);
+    if (!decoded) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = decoded;
+    next();
+  } catch (error) {
+    console.error('Authenticate token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = authenticateToken;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Entrega pendiente de un evento de dominio a un webhook (una por destino).
+// Se guarda antes de confirmar la operación que lo origina y se reintenta hasta entregarse.
+const outboxEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Evento ya serializado: se firma y reenvía byte a byte en cada intento
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'delivered'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Si un worker muere a mitad de envío, la entrega se recupera al vencer el lock
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  // Solo las entregadas tienen expiresAt; las pendientes se conservan hasta entregarse
+  expiresAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+outboxEventSchema.index({ eventId: 1, url: 1 }, { unique: true });
+outboxEventSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OutboxEvent', outboxEventSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Contador de rate limiting (ventana fija) compartido entre instancias
+const rateLimitSchema = new mongoose.Schema({
+  _id: {
+    type: String // clave, p. ej. "login:ip:1.2.3.4"
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB borra las ventanas vencidas automáticamente
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
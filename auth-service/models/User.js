@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { lockout } = require('../config/security');
+
+const ROLES = ['user', 'owner', 'admin'];
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -9,16 +13,56 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // null en cuentas creadas con un proveedor externo (OIDC) sin contraseña propia
   password: {
     type: String,
-    required: true,
+    default: null,
     minlength: 6
   },
+  // Identidades externas vinculadas (p. ej. Google)
+  identities: [{
+    _id: false,
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: { type: String, default: null },
+    linkedAt: { type: Date, default: Date.now }
+  }],
   name: {
     type: String,
     required: true,
     trim: true
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  avatar: {
+    type: String,
+    default: null
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: ''
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationCode: {
+    type: String,
+    default: null
+  },
+  emailVerificationExpiry: {
+    type: Date,
+    default: null
+  },
+  emailVerificationAttempts: {
+    type: Number,
+    default: 0
+  },
   resetToken: {
     type: String,
     default: null
@@ -31,6 +75,28 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  resetCodeAttempts: {
+    type: Number,
+    default: 0
+  },
+  // 2FA (TOTP). pendingSecret guarda el secreto hasta confirmar el primer código
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    pendingSecret: { type: String, default: null },
+    recoveryCodes: { type: [String], default: [] }, // hashes SHA-256
+    lastUsedStep: { type: Number, default: null }, // evita reutilizar un código TOTP
+    enabledAt: { type: Date, default: null }
+  },
+  // Bloqueo temporal tras fallos de login consecutivos
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -39,7 +105,7 @@ const userSchema = new mongoose.Schema({
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   
   try {
     const salt = await bcrypt.genSalt(10);
@@ -52,7 +118,190 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password || typeof candidatePassword !== 'string') return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.hasPassword = function() {
+  return Boolean(this.password);
+};
+
+// Una identidad externa pertenece a un solo usuario
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+// Datos de la propia cuenta (GET /me)
+userSchema.methods.toAccountJSON = function() {
+  return {
+    id: this._id,
+    email: this.email,
+    name: this.name,
+    role: this.role,
+    emailVerified: this.emailVerified,
+    avatar: this.avatar,
+    bio: this.bio,
+    hasPassword: this.hasPassword(),
+    twoFactorEnabled: this.twoFactor.enabled,
+    identities: this.identities.map(({ provider, email, linkedAt }) => ({ provider, email, linkedAt })),
+    createdAt: this.createdAt
+  };
+};
+
+// Perfil público: sin email ni datos de seguridad
+userSchema.methods.toPublicProfile = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    avatar: this.avatar,
+    bio: this.bio,
+    createdAt: this.createdAt
+  };
+};
+
+// Comparación en tiempo constante de códigos de 6 dígitos
+const codesMatch = (expected, candidate) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(candidate));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const generateCode = () => String(crypto.randomInt(100000, 1000000));
+
+// Milisegundos que quedan de bloqueo (0 si la cuenta no está bloqueada)
+userSchema.methods.lockRemainingMs = function() {
+  if (!this.lockUntil) return 0;
+  return Math.max(0, this.lockUntil.getTime() - Date.now());
+};
+
+// Registra un login fallido; a partir del umbral el bloqueo crece exponencialmente.
+// El contador se incrementa en Mongo ($inc): con intentos en paralelo no se pierde ninguno.
+userSchema.methods.registerFailedLogin = async function() {
+  const User = this.constructor;
+  const updated = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+  if (!updated) return;
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+
+  if (updated.failedLoginAttempts >= lockout.threshold) {
+    const exponent = updated.failedLoginAttempts - lockout.threshold;
+    const duration = Math.min(lockout.baseMs * Math.pow(2, exponent), lockout.maxMs);
+    const lockUntil = new Date(Date.now() + duration);
+
+    // Solo se alarga: entre fallos simultáneos gana el bloqueo más largo
+    await User.updateOne(
+      { _id: this._id, $or: [{ lockUntil: null }, { lockUntil: { $lt: lockUntil } }] },
+      { lockUntil }
+    );
+    this.lockUntil = lockUntil;
+  }
+};
+
+userSchema.methods.resetLoginAttempts = async function() {
+  if (this.failedLoginAttempts === 0 && !this.lockUntil) return;
+  await this.constructor.updateOne({ _id: this._id }, { failedLoginAttempts: 0, lockUntil: null });
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+};
+
+/**
+ * Comprueba el código de reseteo contando los fallos.
+ * Tras maxAttempts fallos el código se invalida y hay que pedir uno nuevo.
+ * Los fallos se cuentan con un $inc condicionado a attempts < maxAttempts, así
+ * las peticiones en paralelo no pueden superar el límite.
+ * @returns {Promise<boolean>}
+ */
+userSchema.methods.checkResetCode = async function(candidateCode, maxAttempts) {
+  if (!this.resetCode || !this.resetTokenExpiry || this.resetTokenExpiry.getTime() <= Date.now()) {
+    return false;
+  }
+
+  const User = this.constructor;
+  const pending = { _id: this._id, resetCode: this.resetCode, resetCodeAttempts: { $lt: maxAttempts } };
+
+  if (codesMatch(this.resetCode, candidateCode)) {
+    // Fallos simultáneos pueden haber agotado los intentos después de leer el documento
+    return !!(await User.exists(pending));
+  }
+
+  const updated = await User.findOneAndUpdate(
+    pending,
+    { $inc: { resetCodeAttempts: 1 } },
+    { new: true, projection: { resetCodeAttempts: 1 } }
+  );
+  if (updated) {
+    this.resetCodeAttempts = updated.resetCodeAttempts;
+    if (updated.resetCodeAttempts >= maxAttempts) {
+      await User.updateOne(
+        { _id: this._id, resetCode: this.resetCode },
+        { resetToken: null, resetCode: null, resetTokenExpiry: null }
+      );
+    }
+  }
+  return false;
+};
+
+// Genera un nuevo código de verificación de email (no guarda el documento)
+userSchema.methods.createVerificationCode = function(ttlMs) {
+  const code = generateCode();
+  this.emailVerificationCode = code;
+  this.emailVerificationExpiry = new Date(Date.now() + ttlMs);
+  this.emailVerificationAttempts = 0;
+  return code;
+};
+
+/**
+ * Verifica el email con el código enviado. Igual que el de reseteo,
+ * el código se invalida tras maxAttempts fallos, contados con un $inc condicionado.
+ * @returns {Promise<boolean>}
+ */
+userSchema.methods.verifyEmailCode = async function(candidateCode, maxAttempts) {
+  if (!this.emailVerificationCode || !this.emailVerificationExpiry ||
+      this.emailVerificationExpiry.getTime() <= Date.now()) {
+    return false;
+  }
+
+  const User = this.constructor;
+  const pending = {
+    _id: this._id,
+    emailVerificationCode: this.emailVerificationCode,
+    emailVerificationAttempts: { $lt: maxAttempts }
+  };
+
+  if (codesMatch(this.emailVerificationCode, candidateCode)) {
+    // Solo acierta si los fallos en paralelo no invalidaron antes el código
+    const verified = await User.findOneAndUpdate(
+      pending,
+      {
+        emailVerified: true,
+        emailVerificationCode: null,
+        emailVerificationExpiry: null,
+        emailVerificationAttempts: 0
+      },
+      { new: true, projection: { emailVerified: 1 } }
+    );
+    if (!verified) return false;
+    this.emailVerified = true;
+    return true;
+  }
+
+  const updated = await User.findOneAndUpdate(
+    pending,
+    { $inc: { emailVerificationAttempts: 1 } },
+    { new: true, projection: { emailVerificationAttempts: 1 } }
+  );
+  if (updated && updated.emailVerificationAttempts >= maxAttempts) {
+    await User.updateOne(
+      { _id: this._id, emailVerificationCode: this.emailVerificationCode },
+      { emailVerificationCode: null, emailVerificationExpiry: null }
+    );
+  }
+  return false;
+};
+
 module.exports = mongoose.model('User', userSchema);
+module.exports.ROLES = ROLES;
@@ -0,0 +1,65 @@
+const createMemoryRateLimitStore = require('./memoryStore');
+const createMongoRateLimitStore = require('./mongoStore');
+
+/**
+ * Crea el store configurado en RATE_LIMIT_STORE (memory | mongo).
+ * Interfaz: increment(key, windowMs) -> { count, resetAt }, reset(key).
+ */
+const createRateLimitStore = (driver = process.env.RATE_LIMIT_STORE || 'memory') => {
+  switch (driver) {
+    case 'memory':
+      return createMemoryRateLimitStore();
+    case 'mongo':
+      return createMongoRateLimitStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${driver}`);
+  }
+};
+
+const store = createRateLimitStore();
+
+// Responde 429 con Retry-After (segundos)
+const sendTooManyRequests = (res, retryAfterMs) => {
+  const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  const minutes = Math.ceil(seconds / 60);
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    error: `Demasiados intentos. Intenta de nuevo en ${minutes} minuto${minutes === 1 ? '' : 's'}.`,
+    retryAfter: seconds
+  });
+};
+
+/**
+ * Middleware de rate limiting por IP y por cuenta (email del body)
+ * @param {string} name - Prefijo de las claves (p. ej. "login")
+ * @param {Object} options - { windowMs, perIp, perAccount }
+ */
+const rateLimit = (name, { windowMs, perIp, perAccount }) => async (req, res, next) => {
+  try {
+    const limits = [{ key: `${name}:ip:${req.ip}`, max: perIp }];
+
+    const email = typeof req.body.email === 'string' && req.body.email.trim().toLowerCase();
+    if (email) {
+      limits.push({ key: `${name}:account:${email}`, max: perAccount });
+    }
+
+    for (const { key, max } of limits) {
+      const { count, resetAt } = await store.increment(key, windowMs);
+      if (count > max) {
+        return sendTooManyRequests(res, resetAt.getTime() - Date.now());
+      }
+    }
+
+    next();
+  } catch (error) {
+    // Si el store falla no se bloquea el login
+    console.error('Rate limit error:', error);
+    next();
+  }
+};
+
+module.exports = {
+  rateLimit,
+  sendTooManyRequests,
+  store
+};
@@ -0,0 +1,36 @@
+/**
+ * Contadores de ventana fija en memoria. Sirve para una sola instancia de auth-service.
+ */
+const createMemoryRateLimitStore = () => {
+  const counters = new Map(); // key -> { count, resetAt }
+
+  // Limpieza periódica de ventanas vencidas
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((entry, key) => {
+      if (entry.resetAt <= now) counters.delete(key);
+    });
+  }, 60000);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = counters.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryRateLimitStore;
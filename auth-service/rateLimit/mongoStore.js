@@ -0,0 +1,42 @@
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Contadores de ventana fija en MongoDB: compartidos entre varias instancias.
+ */
+const createMongoRateLimitStore = () => ({
+  name: 'mongo',
+
+  async increment(key, windowMs) {
+    const now = new Date();
+
+    // Ventana vigente: solo se incrementa
+    let entry = await RateLimit.findOneAndUpdate(
+      { _id: key, resetAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+
+    // Sin ventana o vencida: se abre una nueva
+    if (!entry) {
+      try {
+        entry = await RateLimit.findOneAndUpdate(
+          { _id: key, $or: [{ resetAt: { $lte: now } }, { resetAt: { $exists: false } }] },
+          { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+          { new: true, upsert: true }
+        );
+      } catch (error) {
+        // Otra petición abrió la ventana a la vez (clave duplicada): se incrementa esa
+        if (error.code !== 11000) throw error;
+        entry = await RateLimit.findOneAndUpdate({ _id: key }, { $inc: { count: 1 } }, { new: true });
+      }
+    }
+
+    return { count: entry.count, resetAt: entry.resetAt };
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ _id: key });
+  }
+});
+
+module.exports = createMongoRateLimitStore;
@@ -0,0 +1,40 @@
+/**
+ * Asigna un rol a un usuario por email. Útil para crear el primer admin.
+ *
+ * Uso: node scripts/set-role.js <email> <user|owner|admin>
+ */
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/huequitas_auth_db';
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !User.ROLES.includes(role)) {
+    console.error(`Uso: node scripts/set-role.js <email> <${User.ROLES.join('|')}>`);
+    return false;
+  }
+
+  await mongoose.connect(MONGODB_URI);
+  const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true });
+  await mongoose.disconnect();
+
+  if (!user) {
+    console.error(`❌ No existe un usuario con email ${email}`);
+    return false;
+  }
+
+  console.log(`✅ ${user.email} ahora tiene el rol "${user.role}"`);
+  return true;
+};
+
+run()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OAuthState = require('../models/OAuthState');
+const User = require('../models/User');
+const { revokeSessions } = require('./tokens');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+const PROVIDER_TIMEOUT_MS = 10000;
+
+const jwksCache = new Map(); // jwksUri -> { keys, expiresAt }
+
+const randomString = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Inicia un login: guarda state + PKCE verifier + nonce y arma la URL del proveedor
+ * @param {Object} provider - Configuración de config/oidc.js
+ * @returns {Promise<{ authorizationUrl: string, state: string }>}
+ */
+const createAuthorizationRequest = async (provider) => {
+  const state = randomString();
+  const nonce = randomString();
+  const codeVerifier = randomString(48);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await OAuthState.create({
+    state,
+    provider: provider.name,
+    codeVerifier,
+    nonce,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS)
+  });
+
+  const url = new URL(provider.authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { authorizationUrl: url.toString(), state };
+};
+
+// Consume el state (un solo uso) y devuelve verifier y nonce
+const consumeState = (provider, state) =>
+  OAuthState.findOneAndDelete({
+    state: String(state),
+    provider: provider.name,
+    expiresAt: { $gt: new Date() }
+  });
+
+const exchangeCode = async (provider, code, codeVerifier) => {
+  const response = await fetch(provider.tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: String(code),
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || '',
+      code_verifier: codeVerifier
+    }),
+    signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Token endpoint responded ${response.status}`);
+  }
+
+  const body = await response.json();
+  if (!body.id_token) {
+    throw new Error('Token response without id_token');
+  }
+  return body.id_token;
+};
+
+const getSigningKey = async (provider, kid) => {
+  let cached = jwksCache.get(provider.jwksUri);
+
+  // Si el kid no está puede que el proveedor haya rotado claves: se recarga
+  if (!cached || cached.expiresAt < Date.now() || !cached.keys.some(key => key.kid === kid)) {
+    const response = await fetch(provider.jwksUri, { signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`JWKS endpoint responded ${response.status}`);
+    }
+    const { keys = [] } = await response.json();
+    cached = { keys, expiresAt: Date.now() + JWKS_CACHE_TTL_MS };
+    jwksCache.set(provider.jwksUri, cached);
+  }
+
+  const jwk = cached.keys.find(key => key.kid === kid);
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+/**
+ * Verifica firma, issuer, audience, expiración y nonce del ID token
+ * @returns {Promise<Object|null>} Claims o null si el token no es válido
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) return null;
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+  if (!key) return null;
+
+  try {
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      issuer: provider.issuer,
+      audience: provider.clientId
+    });
+    return claims.nonce === nonce ? claims : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Completa el login: valida el state, canjea el code (PKCE) y verifica el ID token
+ * @returns {Promise<{ valid: boolean, status?: number, message?: string, claims?: Object }>}
+ */
+const completeAuthorization = async (provider, code, state) => {
+  const pending = await consumeState(provider, state);
+  if (!pending) {
+    return { valid: false, status: 400, message: 'El inicio de sesión expiró. Intenta de nuevo.' };
+  }
+
+  const idToken = await exchangeCode(provider, code, pending.codeVerifier);
+  const claims = await verifyIdToken(provider, idToken, pending.nonce);
+  if (!claims || !claims.sub) {
+    return { valid: false, status: 401, message: 'No se pudo verificar la identidad con el proveedor' };
+  }
+
+  return { valid: true, claims };
+};
+
+// Nombre para cuentas nuevas: el del proveedor o la parte local del email
+const displayName = (claims) => {
+  const name = (claims.name || claims.given_name || claims.email.split('@')[0]).trim();
+  return name.slice(0, 50);
+};
+
+/**
+ * Busca el usuario de una identidad externa. Si no está vinculada, la vincula al
+ * usuario con el mismo email (solo si el proveedor lo verificó) o crea uno sin contraseña.
+ * Una cuenta local sin verificar pierde su contraseña y sus sesiones al vincularse.
+ * @returns {Promise<{ valid: boolean, status?: number, message?: string, user?: Object, created?: boolean }>}
+ */
+const findOrCreateUser = async (provider, claims) => {
+  const identity = { provider: provider.name, subject: String(claims.sub) };
+
+  let user = await User.findOne({ identities: { $elemMatch: identity } });
+  if (user) return { valid: true, user, created: false };
+
+  if (!claims.email) {
+    return { valid: false, status: 400, message: 'El proveedor no compartió tu email' };
+  }
+
+  const email = claims.email.toLowerCase();
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  const linked = { ...identity, email, linkedAt: new Date() };
+
+  user = await User.findOne({ email });
+  if (user) {
+    // Sin email verificado por el proveedor vincular permitiría tomar cuentas ajenas
+    if (!emailVerified) {
+      return {
+        valid: false,
+        status: 409,
+        message: 'Ya existe una cuenta con este email. Inicia sesión con tu contraseña.'
+      };
+    }
+
+    // Una cuenta local sin verificar pudo registrarla otra persona con este email:
+    // el proveedor prueba quién es el dueño, así que se quitan la contraseña, el 2FA,
+    // los códigos pendientes y las sesiones de quien la creó antes de vincularla
+    if (!user.emailVerified) {
+      user.password = null;
+      user.twoFactor = {};
+      user.emailVerificationCode = null;
+      user.emailVerificationExpiry = null;
+      user.resetToken = null;
+      user.resetCode = null;
+      user.resetTokenExpiry = null;
+      await revokeSessions({ userId: user._id }, 'account-claimed');
+    }
+
+    user.identities.push(linked);
+    user.emailVerified = true;
+    await user.save();
+    return { valid: true, user, created: false };
+  }
+
+  user = new User({
+    email,
+    name: displayName(claims),
+    avatar: typeof claims.picture === 'string' ? claims.picture : null,
+    emailVerified,
+    identities: [linked]
+  });
+  await user.save();
+  return { valid: true, user, created: true };
+};
+
+module.exports = {
+  createAuthorizationRequest,
+  completeAuthorization,
+  findOrCreateUser
+};
@@ -0,0 +1,31 @@
+// Llamadas a core-service y chat-service en nombre del usuario (se reenvía su token)
+const CORE_SERVICE_URL = process.env.CORE_SERVICE_URL || 'http://localhost:3002';
+const CHAT_SERVICE_URL = process.env.CHAT_SERVICE_URL || 'http://localhost:3003';
+const SERVICE_TIMEOUT_MS = 10000;
+
+const fetchExport = async (baseUrl, authorization) => {
+  const response = await fetch(`${baseUrl}/me/export`, {
+    headers: { Authorization: authorization },
+    signal: AbortSignal.timeout(SERVICE_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`${baseUrl} responded ${response.status}`);
+  }
+  return response.json();
+};
+
+/**
+ * Reúne los datos personales que guardan los demás servicios
+ * @param {string} authorization - Header Authorization de la petición original
+ * @returns {Promise<{ core: Object, chat: Object }>} Lanza si algún servicio falla
+ */
+const collectServiceExports = async (authorization) => {
+  const [core, chat] = await Promise.all([
+    fetchExport(CORE_SERVICE_URL, authorization),
+    fetchExport(CHAT_SERVICE_URL, authorization)
+  ]);
+  return { core, chat };
+};
+
+module.exports = { collectServiceExports };
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Cuántos hashes anteriores se guardan por sesión para detectar reutilización
+const MAX_PREVIOUS_HASHES = 50;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Firma un access token de corta duración ligado a una sesión
+ * @param {Object} user - Documento User
+ * @param {string} sessionId - ID de la sesión (claim `sid`)
+ * @returns {{ token: string, expiresIn: number }} expiresIn en segundos
+ */
+const signAccessToken = (user, sessionId) => {
+  const token = jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      emailVerified: Boolean(user.emailVerified),
+      sid: String(sessionId)
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { token, expiresIn: exp - iat };
+};
+
+// Challenge del login en dos pasos: solo sirve para /login/2fa (no tiene `sid`)
+const CHALLENGE_TOKEN_TTL = '5m';
+const CHALLENGE_PURPOSE = 'login-2fa';
+
+const signChallengeToken = (user) => {
+  const token = jwt.sign(
+    { userId: user._id, purpose: CHALLENGE_PURPOSE },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_TTL }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { challengeToken: token, expiresIn: exp - iat };
+};
+
+/**
+ * @param {string} token - Challenge token de /login
+ * @returns {string|null} userId o null si no es válido
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? String(decoded.userId) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Datos del dispositivo para el listado de sesiones
+const getClientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, 300) || null,
+  ip: req.ip || null
+});
+
+/**
+ * Crea una nueva sesión (login/registro) y devuelve el par de tokens
+ * @param {Object} user - Documento User
+ * @param {Object} req - Request de Express
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number }>}
+ */
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const session = new Session({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ...getClientInfo(req)
+  });
+  await session.save();
+
+  return { ...signAccessToken(user, session._id), refreshToken };
+};
+
+/**
+ * Rota un refresh token. Si el token ya había sido usado se revoca toda la familia.
+ * @param {string} refreshToken - Refresh token recibido
+ * @param {Object} req - Request de Express
+ * @returns {Promise<{ valid: boolean, message?: string, session?: Object, refreshToken?: string }>}
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const hash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(newRefreshToken),
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(),
+        ...getClientInfo(req)
+      },
+      $push: { previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_HASHES } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { valid: true, session, refreshToken: newRefreshToken };
+  }
+
+  // Un token ya rotado que vuelve a aparecer indica robo: se invalida la familia completa
+  const reused = await Session.findOneAndUpdate(
+    { previousTokenHashes: hash, revokedAt: null },
+    { revokedAt: now, revokedReason: 'reuse-detected' }
+  );
+  if (reused) {
+    console.warn(`⚠️  Refresh token reuse detected, session ${reused._id} revoked`);
+  }
+
+  return { valid: false, message: 'Refresh token inválido o expirado' };
+};
+
+/**
+ * Revoca sesiones que cumplan el filtro
+ * @param {Object} filter - Filtro de Session
+ * @param {string} reason - Motivo de la revocación
+ * @returns {Promise<number>} Número de sesiones revocadas
+ */
+const revokeSessions = async (filter, reason) => {
+  const result = await Session.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Verifica un access token y que su sesión siga activa
+ * @param {string} token - Access token
+ * @returns {Promise<Object|null>} Payload decodificado o null si no es válido
+ */
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  // Los tokens sin sesión (anteriores a los refresh tokens o temporales de reseteo) no sirven
+  if (!decoded.sid || !/^[0-9a-fA-F]{24}$/.test(decoded.sid)) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive()) return null;
+
+  return decoded;
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSessions,
+  verifyAccessToken,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// TOTP (RFC 6238): HMAC-SHA1, 6 dígitos, pasos de 30 segundos
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = process.env.TOTP_ISSUER || 'Las HueQuitas';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').toUpperCase();
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Secreto de 160 bits en base32 (formato que esperan las apps autenticadoras)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+/**
+ * Verifica un código aceptando un paso de desfase de reloj en cada sentido
+ * @param {string} secret - Secreto base32
+ * @param {string} code - Código de 6 dígitos
+ * @returns {number|null} Paso en el que coincidió (para evitar reutilizarlo) o null
+ */
+const verifyTotp = (secret, code, window = 1) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const now = currentStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = codeForStep(secret, now + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return now + offset;
+    }
+  }
+  return null;
+};
+
+/**
+ * URI otpauth:// para mostrar como QR en la app autenticadora
+ * @param {string} secret - Secreto base32
+ * @param {string} accountName - Normalmente el email del usuario
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  codeForStep,
+  currentStep
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { verifyTotp } = require('./totp');
+const { hashToken } = require('./tokens');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// "a1b2c-3d4e5" -> "a1b2c3d4e5"
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+/**
+ * Genera códigos de recuperación de un solo uso
+ * @returns {{ codes: string[], hashes: string[] }} codes se muestra una sola vez; se guardan los hashes
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+};
+
+/**
+ * Verifica el segundo factor: código TOTP o, si no coincide, un código de recuperación.
+ * Ambos se consumen de forma atómica para que no se puedan reutilizar.
+ * @param {Object} user - Documento User con 2FA activo
+ * @param {string} code - Código TOTP o de recuperación
+ * @returns {Promise<{ valid: boolean, method?: 'totp'|'recovery' }>}
+ */
+const verifySecondFactor = async (user, code) => {
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount === 1 ? { valid: true, method: 'totp' } : { valid: false };
+  }
+
+  const normalized = normalizeRecoveryCode(code);
+  if (normalized.length !== 10) return { valid: false };
+
+  const hash = hashToken(normalized);
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return result.modifiedCount === 1 ? { valid: true, method: 'recovery' } : { valid: false };
+};
+
+module.exports = {
+  generateRecoveryCodes,
+  verifySecondFactor
+};
@@ -1,11 +1,13 @@
 const MAX_COMMENT_LENGTH = 250;
 const MAX_IMAGE_SIZE_BYTES = 5 * 1024 * 1024;
 const ALLOWED_IMAGE_FORMATS = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
+const MAX_BIO_LENGTH = 300;
+const MAX_AVATAR_URL_LENGTH = 500;
 
 // Email validation
 const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!email || !emailRegex.test(email)) {
+  if (typeof email !== 'string' || !emailRegex.test(email)) {
     return { valid: false, message: 'El email debe ser válido (ejemplo@dominio.com)' };
   }
   return { valid: true };
@@ -91,12 +93,42 @@ const validateConfirmPassword = (password, confirmPassword) => {
   return { valid: true };
 };
 
+// Bio validation (opcional)
+const validateBio = (bio) => {
+  if (typeof bio !== 'string') {
+    return { valid: false, message: 'La bio debe ser texto' };
+  }
+  if (bio.trim().length > MAX_BIO_LENGTH) {
+    return { valid: false, message: `La bio no puede exceder ${MAX_BIO_LENGTH} caracteres` };
+  }
+  return { valid: true };
+};
+
+// Avatar URL validation (la imagen se sube a core-service /media)
+const validateAvatarUrl = (url) => {
+  if (typeof url !== 'string' || url.length > MAX_AVATAR_URL_LENGTH) {
+    return { valid: false, message: 'La URL del avatar no es válida' };
+  }
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return { valid: false, message: 'La URL del avatar debe ser http o https' };
+    }
+  } catch (error) {
+    return { valid: false, message: 'La URL del avatar no es válida' };
+  }
+  return { valid: true };
+};
+
 module.exports = {
   validateEmail,
   validateName,
   validatePasswordStrength,
   validateRequired,
   validateConfirmPassword,
+  validateBio,
+  validateAvatarUrl,
+  MAX_BIO_LENGTH,
   MAX_COMMENT_LENGTH,
   MAX_IMAGE_SIZE_BYTES,
   ALLOWED_IMAGE_FORMATS
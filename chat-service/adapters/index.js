@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Colección donde el adapter de MongoDB publica los eventos entre instancias
+const MONGO_ADAPTER_COLLECTION = 'socket.io-adapter-events';
+
+// Redis pub/sub: cada instancia publica sus broadcasts y escucha los de las demás
+const createRedisAdapter = async () => {
+  let redis;
+  let redisAdapter;
+  try {
+    redis = require('redis');
+    redisAdapter = require('@socket.io/redis-adapter');
+  } catch (error) {
+    throw new Error('SOCKET_ADAPTER=redis requires the redis and @socket.io/redis-adapter packages');
+  }
+
+  const pubClient = redis.createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+  const subClient = pubClient.duplicate();
+  pubClient.on('error', error => console.error('Redis adapter error:', error));
+  subClient.on('error', error => console.error('Redis adapter error:', error));
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  return redisAdapter.createAdapter(pubClient, subClient);
+};
+
+// MongoDB change streams (requiere replica set) sobre una colección con TTL
+const createMongoAdapter = async (collection) => {
+  let mongoAdapter;
+  try {
+    mongoAdapter = require('@socket.io/mongo-adapter');
+  } catch (error) {
+    throw new Error('SOCKET_ADAPTER=mongo requires the @socket.io/mongo-adapter package');
+  }
+
+  if (!collection) {
+    await mongoose.connection.asPromise();
+    collection = mongoose.connection.db.collection(MONGO_ADAPTER_COLLECTION);
+  }
+  await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 });
+
+  return mongoAdapter.createAdapter(collection, { addCreatedAtField: true });
+};
+
+/**
+ * Configura el adapter de Socket.IO indicado en SOCKET_ADAPTER (memory | redis | mongo).
+ * Con memory los broadcasts solo llegan a sockets del mismo proceso.
+ * @param {import('socket.io').Server} io
+ * @param {string} [driver]
+ * @param {Object} [options] - { collection }: colección para mongo (por defecto la de mongoose)
+ * @returns {Promise<string>} Nombre del adapter configurado
+ */
+const attachAdapter = async (io, driver = process.env.SOCKET_ADAPTER || 'memory', options = {}) => {
+  switch (driver) {
+    case 'memory':
+      return driver;
+    case 'redis':
+      io.adapter(await createRedisAdapter());
+      return driver;
+    case 'mongo':
+      io.adapter(await createMongoAdapter(options.collection));
+      return driver;
+    default:
+      throw new Error(`Unknown SOCKET_ADAPTER: ${driver}`);
+  }
+};
+
+module.exports = { attachAdapter };
@@ -0,0 +1,62 @@
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const ReadMarker = require('../models/ReadMarker');
+const { rememberUserName, forgetUserName } = require('../utils/users');
+
+// Nombre e ID que quedan en los mensajes de cuentas eliminadas
+const DELETED_USER_NAME = 'Anonymous';
+const DELETED_USER_ID = 'deleted-user';
+
+// mode = 'delete': el texto de sus mensajes se borra (queda el hueco para no romper respuestas).
+// mode = 'anonymize' (por defecto): los mensajes se conservan sin autor identificable.
+const deleteUserData = async (userId, mode) => {
+  await Message.updateMany({ 'reactions.userId': userId }, { $pull: { reactions: { userId } } });
+  await ReadMarker.deleteMany({ userId });
+  await Room.updateMany(
+    { $or: [{ members: userId }, { moderators: userId }] },
+    { $pull: { members: userId, moderators: userId } }
+  );
+  await Room.updateMany({ createdBy: userId }, { createdBy: null });
+
+  const anonymized = { userId: DELETED_USER_ID, userName: DELETED_USER_NAME };
+
+  if (mode === 'delete') {
+    const now = new Date();
+    await Message.updateMany({ userId }, {
+      ...anonymized,
+      message: '',
+      deletedAt: now,
+      deletedBy: DELETED_USER_ID
+    });
+    return;
+  }
+
+  await Message.updateMany({ userId }, anonymized);
+};
+
+// Los handlers son idempotentes: auth-service puede reenviar un evento
+const handlers = {
+  'user-updated': async ({ userId, name }) => {
+    if (!userId || !name) return;
+    rememberUserName(userId, name);
+    await Message.updateMany({ userId, userName: { $ne: name } }, { userName: name });
+  },
+
+  'user-deleted': async ({ userId, mode }) => {
+    if (!userId) return;
+    forgetUserName(userId);
+    await deleteUserData(userId, mode);
+  }
+};
+
+/**
+ * Aplica un evento de dominio a las copias locales. Los tipos desconocidos se ignoran.
+ * @param {Object} event - { id, type, occurredAt, data }
+ */
+const handleEvent = async (event) => {
+  const handler = handlers[event.type];
+  if (!handler) return;
+  await handler(event.data || {});
+};
+
+module.exports = { handleEvent };
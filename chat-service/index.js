@@ -6,9 +6,41 @@ const cors = require('cors');
 require('dotenv').config();
 
 const Message = require('./models/Message');
+const Room = require('./models/Room');
+const ReadMarker = require('./models/ReadMarker');
+const authenticateToken = require('./middleware/auth');
+const { optionalAuth } = require('./middleware/auth');
+const {
+  authenticateSocket,
+  requireSocketUser,
+  requireVerifiedSocketUser
+} = require('./middleware/socketAuth');
+const {
+  validateRoomSlug,
+  validateRoomName,
+  validateRoomTopic,
+  validateRoomVisibility,
+  validateMongoId,
+  slugify
+} = require('./utils/validators');
+const {
+  getMessagePage,
+  createMessage,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  markRead,
+  getUnreadCounts,
+  getRoomUnreadCounts
+} = require('./utils/messages');
+const { createPresenceStore, INSTANCE_ID } = require('./presence');
+const { attachAdapter } = require('./adapters');
+const { verifyEvent } = require('huequitas-shared/events');
+const { handleEvent } = require('./events/handlers');
 
 const app = express();
 const server = http.createServer(app);
+const presence = createPresenceStore();
 const io = new Server(server, {
   cors: {
     origin: 'http://localhost:5173',
@@ -19,12 +51,41 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 3003;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/huequitas_chat_db';
+const CORE_SERVICE_URL = process.env.CORE_SERVICE_URL || 'http://localhost:3002';
+const DEFAULT_ROOM = 'general';
+// Por encima de este tamaño no se envían contadores de no leídos en tiempo real
+const UNREAD_PUSH_MAX_MEMBERS = 200;
+
+// Sin un nuevo evento `typing` en este tiempo se emite `stop-typing` automáticamente
+const TYPING_TIMEOUT_MS = 5000;
+
+// Sala personal de Socket.IO de cada usuario (todas sus pestañas/dispositivos)
+const userChannel = (userId) => `user:${userId}`;
 
 // Middleware
 app.use(cors({
   origin: 'http://localhost:5173',
   credentials: true
 }));
+
+// Eventos de dominio de auth-service (webhook firmado). Va antes de express.json
+// para verificar la firma sobre el cuerpo original.
+app.post('/internal/events', express.raw({ type: 'application/json', limit: '100kb' }), async (req, res) => {
+  try {
+    const result = verifyEvent(req.body, req.headers);
+    if (!result.valid) {
+      return res.status(result.status).json({ error: result.message });
+    }
+
+    await handleEvent(result.event);
+    res.json({ received: true });
+  } catch (error) {
+    // 500 -> auth-service reintenta
+    console.error('Event handler error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 app.use(express.json());
 
 // Connect to MongoDB
@@ -32,7 +93,16 @@ mongoose.connect(MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('✅ Chat Service: Connected to MongoDB'))
+.then(async () => {
+  console.log('✅ Chat Service: Connected to MongoDB');
+
+  // La sala general siempre existe y es pública
+  await Room.updateOne(
+    { slug: DEFAULT_ROOM },
+    { $setOnInsert: { name: 'General', visibility: 'public' } },
+    { upsert: true }
+  );
+})
 .catch(err => console.error('❌ Chat Service: MongoDB connection error:', err));
 
 // Health check
@@ -40,39 +110,583 @@ app.get('/health', (req, res) => {
   res.json({ status: 'OK', service: 'chat-service' });
 });
 
-// GET /messages - Get message history
-app.get('/messages', async (req, res) => {
+// Datos públicos de una sala; la lista de miembros solo la ven los moderadores
+const serializeRoom = (room, user) => {
+  const userId = user && user.userId;
+  const isModerator = room.isModerator(user);
+  return {
+    id: room._id,
+    slug: room.slug,
+    name: room.name,
+    topic: room.topic,
+    restaurantId: room.restaurantId,
+    visibility: room.visibility,
+    memberCount: room.members.length,
+    isMember: room.isMember(userId),
+    isModerator,
+    members: isModerator ? room.members : undefined,
+    moderators: room.moderators,
+    createdAt: room.createdAt
+  };
+};
+
+// Pide el restaurante a core-service (null si no existe)
+const fetchRestaurant = async (restaurantId) => {
+  const response = await fetch(`${CORE_SERVICE_URL}/restaurants/${restaurantId}`, {
+    signal: AbortSignal.timeout(3000)
+  });
+  if (response.status >= 500) {
+    throw new Error(`Core service responded ${response.status}`);
+  }
+  return response.ok ? response.json() : null;
+};
+
+// Saca un socket de una sala actualizando la presencia (sirve también con sockets remotos)
+const leaveSocketRoom = async (socket, room) => {
+  socket.leave(room);
+  if (!socket.data.user) return;
+
+  const result = await presence.leave(socket.id, room);
+  if (result.last) {
+    io.to(room).emit('user-offline', { room, userId: result.userId });
+  }
+};
+
+// Carga la sala de :slug y verifica que el usuario pueda leerla. Deja la sala en req.room.
+const loadReadableRoom = async (req, res, next) => {
+  try {
+    const room = await Room.findOne({ slug: req.params.slug });
+    if (!room || !room.canRead(req.user)) {
+      // Las salas privadas ajenas se reportan como inexistentes
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    req.room = room;
+    next();
+  } catch (error) {
+    console.error('Load room error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// GET /rooms - Room directory: public rooms plus private rooms the user belongs to
+// Query: restaurantId, q, mine=true
+app.get('/rooms', optionalAuth, async (req, res) => {
+  try {
+    const { restaurantId, q, mine } = req.query;
+    const userId = req.user && String(req.user.userId);
+
+    const conditions = [];
+    if (mine === 'true') {
+      if (!userId) {
+        return res.status(401).json({ error: 'Access token required' });
+      }
+      conditions.push({ members: userId });
+    } else {
+      conditions.push(userId
+        ? { $or: [{ visibility: 'public' }, { members: userId }, { moderators: userId }] }
+        : { visibility: 'public' });
+    }
+
+    if (restaurantId) {
+      conditions.push({ restaurantId: String(restaurantId) });
+    }
+
+    if (q && String(q).trim()) {
+      const escaped = String(q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      conditions.push({ $or: [{ name: new RegExp(escaped, 'i') }, { topic: new RegExp(escaped, 'i') }] });
+    }
+
+    const rooms = await Room.find({ $and: conditions }).sort({ name: 1 }).limit(100);
+    res.json(rooms.map(room => serializeRoom(room, req.user)));
+  } catch (error) {
+    console.error('Get rooms error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /rooms/:slug - Room metadata
+app.get('/rooms/:slug', optionalAuth, loadReadableRoom, (req, res) => {
+  res.json(serializeRoom(req.room, req.user));
+});
+
+// GET /rooms/:slug/presence - Users currently connected to a room
+app.get('/rooms/:slug/presence', optionalAuth, loadReadableRoom, async (req, res) => {
+  try {
+    const users = await presence.getRoomUsers(req.room.slug);
+    res.json({ room: req.room.slug, users });
+  } catch (error) {
+    console.error('Get room presence error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /rooms - Create a room (requires auth). The creator becomes member and moderator.
+// Restaurant rooms created by someone other than the owner or an admin are public, without moderators.
+app.post('/rooms', authenticateToken, async (req, res) => {
   try {
-    const { room = 'general', limit = 50 } = req.query;
-    const messages = await Message.find({ room })
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .exec();
-    
-    res.json(messages.reverse()); // Reverse to show oldest first
+    const { name, topic, visibility = 'public', restaurantId } = req.body;
+    const userId = String(req.user.userId);
+
+    let validation = validateRoomName(name);
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    validation = validateRoomTopic(topic);
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    validation = validateRoomVisibility(visibility);
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    const slug = req.body.slug || (restaurantId ? `restaurant-${restaurantId}` : slugify(name));
+    validation = validateRoomSlug(slug);
+    if (!validation.valid) return res.status(400).json({ error: validation.message });
+
+    let managesRoom = true;
+    if (restaurantId !== undefined && restaurantId !== null) {
+      validation = validateMongoId(restaurantId);
+      if (!validation.valid) return res.status(400).json({ error: 'ID de restaurante inválido' });
+
+      const existing = await Room.findOne({ restaurantId });
+      if (existing) {
+        return res.status(409).json({
+          error: 'Este restaurante ya tiene una sala',
+          room: existing.canRead(req.user) ? serializeRoom(existing, req.user) : undefined
+        });
+      }
+
+      const restaurant = await fetchRestaurant(restaurantId);
+      if (!restaurant) {
+        return res.status(400).json({ error: 'El restaurante no existe' });
+      }
+
+      // Cada restaurante tiene una sola sala: si la crea alguien que no es su dueño
+      // ni admin, queda pública y sin moderadores para que nadie se la apropie
+      managesRoom = req.user.role === 'admin' || String(restaurant.ownerId) === userId;
+    }
+
+    const room = new Room({
+      slug,
+      name: name.trim(),
+      topic: topic ? topic.trim() : '',
+      visibility: managesRoom ? visibility : 'public',
+      restaurantId: restaurantId || null,
+      members: [userId],
+      moderators: managesRoom ? [userId] : [],
+      createdBy: userId
+    });
+
+    await room.save();
+    res.status(201).json(serializeRoom(room, req.user));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Ya existe una sala con ese identificador' });
+    }
+    console.error('Create room error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /rooms/:slug - Update name, topic or visibility (moderators only)
+app.patch('/rooms/:slug', authenticateToken, loadReadableRoom, async (req, res) => {
+  try {
+    const { room } = req;
+    const { name, topic, visibility } = req.body;
+
+    if (!room.isModerator(req.user)) {
+      return res.status(403).json({ error: 'Only moderators can edit this room' });
+    }
+
+    if (name !== undefined) {
+      const validation = validateRoomName(name);
+      if (!validation.valid) return res.status(400).json({ error: validation.message });
+      room.name = name.trim();
+    }
+
+    if (topic !== undefined) {
+      const validation = validateRoomTopic(topic);
+      if (!validation.valid) return res.status(400).json({ error: validation.message });
+      room.topic = topic ? topic.trim() : '';
+    }
+
+    if (visibility !== undefined) {
+      const validation = validateRoomVisibility(visibility);
+      if (!validation.valid) return res.status(400).json({ error: validation.message });
+      room.visibility = visibility;
+    }
+
+    room.updatedAt = Date.now();
+    await room.save();
+    res.json(serializeRoom(room, req.user));
+  } catch (error) {
+    console.error('Update room error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /rooms/:slug/join - Join a public room (private rooms require an invitation)
+app.post('/rooms/:slug/join', authenticateToken, async (req, res) => {
+  try {
+    const userId = String(req.user.userId);
+    const room = await Room.findOneAndUpdate(
+      { slug: req.params.slug, visibility: 'public' },
+      { $addToSet: { members: userId } },
+      { new: true }
+    );
+
+    if (!room) {
+      const privateRoom = await Room.findOne({ slug: req.params.slug });
+      if (privateRoom && privateRoom.canRead(req.user)) {
+        return res.json(serializeRoom(privateRoom, req.user));
+      }
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    res.json(serializeRoom(room, req.user));
+  } catch (error) {
+    console.error('Join room error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /rooms/:slug/leave - Leave a room
+app.post('/rooms/:slug/leave', authenticateToken, async (req, res) => {
+  try {
+    const userId = String(req.user.userId);
+    const room = await Room.findOneAndUpdate(
+      { slug: req.params.slug, members: userId },
+      { $pull: { members: userId, moderators: userId } },
+      { new: true }
+    );
+
+    if (!room) {
+      return res.status(404).json({ error: 'You are not a member of this room' });
+    }
+
+    // Quien sale de una sala privada deja de recibir sus mensajes en tiempo real
+    if (room.visibility === 'private') {
+      const sockets = await io.in(room.slug).fetchSockets();
+      await Promise.all(sockets
+        .filter(s => s.data.user && s.data.user.userId === userId)
+        .map(s => leaveSocketRoom(s, room.slug)));
+    }
+
+    res.json({ message: 'Left room successfully' });
+  } catch (error) {
+    console.error('Leave room error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /rooms/:slug/members - Add a member, optionally as moderator (moderators only)
+app.post('/rooms/:slug/members', authenticateToken, loadReadableRoom, async (req, res) => {
+  try {
+    const { room } = req;
+    const { userId, moderator = false } = req.body;
+
+    if (!room.isModerator(req.user)) {
+      return res.status(403).json({ error: 'Only moderators can add members' });
+    }
+
+    const validation = validateMongoId(userId);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'ID de usuario inválido' });
+    }
+
+    const update = { $addToSet: { members: userId } };
+    if (moderator === true) {
+      update.$addToSet.moderators = userId;
+    }
+
+    const updated = await Room.findByIdAndUpdate(room._id, update, { new: true });
+    res.json(serializeRoom(updated, req.user));
+  } catch (error) {
+    console.error('Add room member error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /rooms/:slug/members/:userId - Remove a member (moderators only)
+app.delete('/rooms/:slug/members/:userId', authenticateToken, loadReadableRoom, async (req, res) => {
+  try {
+    const { room } = req;
+
+    if (!room.isModerator(req.user)) {
+      return res.status(403).json({ error: 'Only moderators can remove members' });
+    }
+
+    // null si la sala o el miembro ya no están (p. ej. dos bajas simultáneas)
+    const updated = await Room.findOneAndUpdate(
+      { _id: room._id, $or: [{ members: req.params.userId }, { moderators: req.params.userId }] },
+      { $pull: { members: req.params.userId, moderators: req.params.userId } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const sockets = await io.in(room.slug).fetchSockets();
+    await Promise.all(sockets
+      .filter(s => s.data.user && s.data.user.userId === req.params.userId && !updated.canRead(s.data.user))
+      .map(s => leaveSocketRoom(s, room.slug)));
+
+    res.json(serializeRoom(updated, req.user));
+  } catch (error) {
+    console.error('Remove room member error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /rooms/:slug/read - Mark a room as read up to a message (or up to now)
+app.post('/rooms/:slug/read', authenticateToken, loadReadableRoom, async (req, res) => {
+  try {
+    const userId = String(req.user.userId);
+    const result = await markRead(userId, req.room.slug, req.body.messageId);
+    if (!result.valid) {
+      return res.status(400).json({ error: result.message });
+    }
+
+    const counts = await getUnreadCounts(userId);
+    io.to(userChannel(userId)).emit('unread-counts', counts);
+
+    res.json({ room: req.room.slug, lastReadAt: result.marker.lastReadAt, unreadCounts: counts });
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /unread-counts - Unread messages per room for the current user
+app.get('/unread-counts', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getUnreadCounts(String(req.user.userId)));
+  } catch (error) {
+    console.error('Get unread counts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /me/export - Personal data held by chat-service (auth-service builds the full export)
+app.get('/me/export', authenticateToken, async (req, res) => {
+  try {
+    const userId = String(req.user.userId);
+
+    const [messages, reacted, rooms, readMarkers] = await Promise.all([
+      Message.find({ userId }).sort({ createdAt: 1 }).lean(),
+      Message.find({ 'reactions.userId': userId }).select('room reactions createdAt').lean(),
+      Room.find({ $or: [{ members: userId }, { moderators: userId }, { createdBy: userId }] })
+        .select('slug name visibility members moderators createdBy createdAt')
+        .lean(),
+      ReadMarker.find({ userId }).lean()
+    ]);
+
+    res.json({
+      messages: messages.map(message => ({
+        id: message._id,
+        room: message.room,
+        message: message.message,
+        replyTo: message.replyTo,
+        createdAt: message.createdAt,
+        editedAt: message.editedAt,
+        deletedAt: message.deletedAt
+      })),
+      reactions: reacted.flatMap(message => message.reactions
+        .filter(reaction => reaction.userId === userId)
+        .map(reaction => ({ messageId: message._id, room: message.room, emoji: reaction.emoji }))),
+      rooms: rooms.map(room => ({
+        slug: room.slug,
+        name: room.name,
+        visibility: room.visibility,
+        member: room.members.includes(userId),
+        moderator: room.moderators.includes(userId),
+        creator: room.createdBy === userId
+      })),
+      readMarkers: readMarkers.map(marker => ({ room: marker.room, lastReadAt: marker.lastReadAt }))
+    });
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PATCH /messages/:id - Edit a message (author only)
+app.patch('/messages/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await editMessage(req.user, req.params.id, req.body.message);
+    if (!result.valid) {
+      return res.status(result.status).json({ error: result.message });
+    }
+
+    broadcastMessageEdited(result.doc);
+    res.json(result.doc);
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /messages/:id - Soft-delete a message (author or room moderators)
+app.delete('/messages/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await deleteMessage(req.user, req.params.id);
+    if (!result.valid) {
+      return res.status(result.status).json({ error: result.message });
+    }
+
+    broadcastMessageDeleted(result.doc);
+    res.json({ message: 'Message deleted successfully' });
+  } catch (error) {
+    console.error('Delete message error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /messages/:id/reactions - Toggle the user's reaction with an emoji
+app.post('/messages/:id/reactions', authenticateToken, async (req, res) => {
+  try {
+    const result = await toggleReaction(req.user, req.params.id, req.body.emoji);
+    if (!result.valid) {
+      return res.status(result.status).json({ error: result.message });
+    }
+
+    broadcastReactionUpdated(result.doc);
+    res.json({ added: result.added, reactions: result.doc.toJSON().reactions });
+  } catch (error) {
+    console.error('Toggle reaction error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /messages - Get message history (private rooms require membership)
+// Query: room, limit (1-100), before=<messageId> (older) | after=<messageId> (newer)
+app.get('/messages', optionalAuth, async (req, res) => {
+  try {
+    const { room: slug = DEFAULT_ROOM, limit, before, after } = req.query;
+
+    const room = await Room.findOne({ slug });
+    if (!room || !room.canRead(req.user)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const page = await getMessagePage(slug, { before, after, limit });
+    if (!page.valid) {
+      return res.status(400).json({ error: page.message });
+    }
+
+    // Oldest first; para cargar anteriores usar before=messages[0]._id
+    // Cambio incompatible: antes se respondía el array de mensajes sin envolver
+    res.json({ messages: page.messages, hasMore: page.hasMore });
   } catch (error) {
     console.error('Get messages error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Eventos de cambios sobre mensajes existentes, emitidos a la sala del mensaje
+const broadcastMessageEdited = (doc) => {
+  io.to(doc.room).emit('message-edited', {
+    id: doc._id,
+    room: doc.room,
+    message: doc.message,
+    editedAt: doc.editedAt
+  });
+};
+
+const broadcastMessageDeleted = (doc) => {
+  io.to(doc.room).emit('message-deleted', {
+    id: doc._id,
+    room: doc.room,
+    deletedAt: doc.deletedAt,
+    deletedBy: doc.deletedBy
+  });
+};
+
+const broadcastReactionUpdated = (doc) => {
+  io.to(doc.room).emit('reaction-updated', {
+    id: doc._id,
+    room: doc.room,
+    reactions: doc.toJSON().reactions
+  });
+};
+
+// Envía a cada miembro de la sala (menos el autor) su contador actualizado: { [room]: count }
+const pushUnreadCounts = async (room, authorId) => {
+  try {
+    const recipients = room.members.filter(id => id !== authorId);
+    if (recipients.length === 0 || recipients.length > UNREAD_PUSH_MAX_MEMBERS) return;
+
+    const counts = await getRoomUnreadCounts(room.slug, recipients);
+    counts.forEach((count, userId) => {
+      io.to(userChannel(userId)).emit('unread-counts', { [room.slug]: count });
+    });
+  } catch (error) {
+    console.error('Error pushing unread counts:', error);
+  }
+};
+
+// Verify the JWT on handshake; the sender identity always comes from the token
+io.use(authenticateSocket);
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log(`👤 User connected: ${socket.id}`);
+  const user = socket.data.user;
+  console.log(`👤 ${user ? `User ${user.userId}` : 'Anonymous'} connected: ${socket.id}`);
+
+  // Salas donde el socket está escribiendo -> timer de stop-typing
+  const typingTimers = new Map();
+
+  const stopTyping = (room) => {
+    const timer = typingTimers.get(room);
+    if (!timer) return;
+
+    clearTimeout(timer);
+    typingTimers.delete(room);
+    socket.to(room).emit('stop-typing', { room, userId: user.userId });
+  };
+
+  // join-room espera a que la conexión quede registrada en el presence store
+  const presenceReady = user
+    ? presence.connect(socket.id, user).catch(error => console.error('Error registering presence:', error))
+    : Promise.resolve();
+
+  if (user) {
+    socket.join(userChannel(user.userId));
+    getUnreadCounts(user.userId)
+      .then(counts => socket.emit('unread-counts', counts))
+      .catch(error => console.error('Error fetching unread counts:', error));
+  }
 
   // Join a room
   socket.on('join-room', async (room) => {
-    socket.join(room);
-    console.log(`User ${socket.id} joined room: ${room}`);
-
-    // Send recent messages from this room
     try {
-      const messages = await Message.find({ room })
-        .sort({ createdAt: -1 })
-        .limit(50)
-        .exec();
-      
-      socket.emit('message-history', messages.reverse());
+      if (typeof room !== 'string' || !room.trim()) {
+        socket.emit('error', { message: 'Invalid room' });
+        return;
+      }
+
+      // Anónimos solo leen salas públicas; las privadas requieren ser miembro
+      const roomDoc = await Room.findOne({ slug: room });
+      if (!roomDoc || !roomDoc.canRead(socket.data.user)) {
+        socket.emit('error', { message: 'Room not found', code: 'ROOM_NOT_FOUND' });
+        return;
+      }
+
+      if (!socket.rooms.has(room)) {
+        socket.join(room);
+        console.log(`User ${socket.id} joined room: ${room}`);
+
+        // Solo se anuncia la primera conexión del usuario en la sala (varias pestañas)
+        if (user) {
+          await presenceReady;
+          const result = await presence.join(socket.id, room);
+          if (result.first) {
+            socket.to(room).emit('user-online', { room, userId: user.userId, name: user.name });
+          }
+        }
+      }
+
+      // Send recent messages from this room
+      const page = await getMessagePage(room);
+      socket.emit('message-history', page.messages);
     } catch (error) {
       console.error('Error fetching message history:', error);
     }
@@ -81,44 +695,203 @@ io.on('connection', (socket) => {
   // Handle new message
   socket.on('send-message', async (data) => {
     try {
-      const { userId, userName, message, room = 'general' } = data;
+      const sender = requireVerifiedSocketUser(socket);
+      if (!sender) return;
 
-      if (!userId || !userName || !message) {
-        socket.emit('error', { message: 'Missing required fields' });
+      // userId/userName del payload se ignoran: la identidad viene del token
+      const { message, room = DEFAULT_ROOM, replyTo } = data || {};
+
+      const roomDoc = await Room.findOne({ slug: room });
+      if (!roomDoc || !roomDoc.canRead(sender)) {
+        socket.emit('error', { message: 'Room not found', code: 'ROOM_NOT_FOUND' });
         return;
       }
 
-      // Save message to database
-      const newMessage = new Message({
-        userId,
-        userName,
-        message,
-        room
-      });
-
-      await newMessage.save();
+      const result = await createMessage(sender, roomDoc, { message, replyTo });
+      if (!result.valid) {
+        socket.emit('error', { message: result.message });
+        return;
+      }
 
       // Broadcast message to all users in the room
-      io.to(room).emit('receive-message', {
-        id: newMessage._id,
-        userId: newMessage.userId,
-        userName: newMessage.userName,
-        message: newMessage.message,
-        room: newMessage.room,
-        createdAt: newMessage.createdAt
-      });
+      stopTyping(room);
+      io.to(room).emit('receive-message', result.doc.toJSON());
+
+      pushUnreadCounts(roomDoc, sender.userId);
     } catch (error) {
       console.error('Error saving message:', error);
       socket.emit('error', { message: 'Failed to send message' });
     }
   });
 
+  // Edit own message: { messageId, message }
+  socket.on('edit-message', async (data) => {
+    try {
+      const editor = requireSocketUser(socket);
+      if (!editor) return;
+
+      const { messageId, message } = data || {};
+      const result = await editMessage(editor, messageId, message);
+      if (!result.valid) {
+        socket.emit('error', { message: result.message });
+        return;
+      }
+
+      broadcastMessageEdited(result.doc);
+    } catch (error) {
+      console.error('Error editing message:', error);
+      socket.emit('error', { message: 'Failed to edit message' });
+    }
+  });
+
+  // Delete a message (author or moderator): { messageId }
+  socket.on('delete-message', async (data) => {
+    try {
+      const deleter = requireSocketUser(socket);
+      if (!deleter) return;
+
+      const result = await deleteMessage(deleter, (data || {}).messageId);
+      if (!result.valid) {
+        socket.emit('error', { message: result.message });
+        return;
+      }
+
+      broadcastMessageDeleted(result.doc);
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      socket.emit('error', { message: 'Failed to delete message' });
+    }
+  });
+
+  // Toggle a reaction: { messageId, emoji }
+  socket.on('toggle-reaction', async (data) => {
+    try {
+      const reactor = requireSocketUser(socket);
+      if (!reactor) return;
+
+      const { messageId, emoji } = data || {};
+      const result = await toggleReaction(reactor, messageId, emoji);
+      if (!result.valid) {
+        socket.emit('error', { message: result.message });
+        return;
+      }
+
+      broadcastReactionUpdated(result.doc);
+    } catch (error) {
+      console.error('Error toggling reaction:', error);
+      socket.emit('error', { message: 'Failed to toggle reaction' });
+    }
+  });
+
+  // Mark a room as read: { room, messageId? }
+  socket.on('mark-read', async (data) => {
+    try {
+      const reader = requireSocketUser(socket);
+      if (!reader) return;
+
+      const { room, messageId } = data || {};
+      const roomDoc = await Room.findOne({ slug: room });
+      if (!roomDoc || !roomDoc.canRead(reader)) {
+        socket.emit('error', { message: 'Room not found', code: 'ROOM_NOT_FOUND' });
+        return;
+      }
+
+      const result = await markRead(reader.userId, room, messageId);
+      if (!result.valid) {
+        socket.emit('error', { message: result.message });
+        return;
+      }
+
+      // Se avisa a todas las pestañas del usuario
+      io.to(userChannel(reader.userId)).emit('unread-counts', await getUnreadCounts(reader.userId));
+    } catch (error) {
+      console.error('Error marking room as read:', error);
+      socket.emit('error', { message: 'Failed to mark room as read' });
+    }
+  });
+
+  // Request unread counts on demand
+  socket.on('get-unread-counts', async () => {
+    try {
+      const reader = requireSocketUser(socket);
+      if (!reader) return;
+
+      socket.emit('unread-counts', await getUnreadCounts(reader.userId));
+    } catch (error) {
+      console.error('Error fetching unread counts:', error);
+      socket.emit('error', { message: 'Failed to get unread counts' });
+    }
+  });
+
+  // Leave a room
+  socket.on('leave-room', async (room) => {
+    try {
+      if (typeof room !== 'string' || !socket.rooms.has(room)) return;
+
+      if (user) stopTyping(room);
+      await leaveSocketRoom(socket, room);
+    } catch (error) {
+      console.error('Error leaving room:', error);
+    }
+  });
+
+  // Typing indicators: { room }
+  socket.on('typing', (data) => {
+    const typist = requireSocketUser(socket);
+    const { room } = data || {};
+    if (!typist || !socket.rooms.has(room)) return;
+
+    if (typingTimers.has(room)) {
+      clearTimeout(typingTimers.get(room));
+    } else {
+      socket.to(room).emit('typing', { room, userId: typist.userId, name: typist.name });
+    }
+    typingTimers.set(room, setTimeout(() => stopTyping(room), TYPING_TIMEOUT_MS));
+  });
+
+  socket.on('stop-typing', (data) => {
+    const { room } = data || {};
+    if (user && room) stopTyping(room);
+  });
+
   // Handle disconnect
-  socket.on('disconnect', () => {
+  socket.on('disconnect', async () => {
     console.log(`👋 User disconnected: ${socket.id}`);
+    if (!user) return;
+
+    [...typingTimers.keys()].forEach(stopTyping);
+
+    try {
+      await presenceReady;
+      const result = await presence.disconnect(socket.id);
+      if (!result) return;
+
+      result.rooms.forEach(room => {
+        io.to(room).emit('user-offline', { room, userId: result.userId });
+      });
+    } catch (error) {
+      console.error('Error removing presence:', error);
+    }
   });
 });
 
-server.listen(PORT, () => {
-  console.log(`💬 Chat service running on port ${PORT}`);
+// El adapter se conecta antes de aceptar sockets para no perder broadcasts entre instancias
+attachAdapter(io)
+  .then((adapter) => {
+    server.listen(PORT, () => {
+      console.log(`💬 Chat service running on port ${PORT} (instance ${INSTANCE_ID}, adapter: ${adapter}, presence: ${presence.name})`);
+    });
+  })
+  .catch((error) => {
+    console.error('❌ Chat Service: Socket.IO adapter error:', error);
+    process.exit(1);
+  });
+
+// Libera la presencia de esta instancia al apagarse (docker stop)
+process.on('SIGTERM', async () => {
+  try {
+    await presence.close();
+  } finally {
+    process.exit(0);
+  }
 });
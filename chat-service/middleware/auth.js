@@ -0,0 +1,80 @@
+const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('huequitas-shared/sessions');
+const { verifyIdentityHeaders } = require('huequitas-shared/identity');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+// Verifica firma y expiración, y que la sesión (claim `sid`) no haya sido revocada.
+// Devuelve { user } o { status, error }. Se usa tanto en REST como en Socket.IO.
+const checkToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return { status: 403, error: 'Invalid or expired token' };
+  }
+
+  if (!decoded.sid) {
+    return { status: 403, error: 'Invalid or expired token' };
+  }
+
+  try {
+    if (!(await isSessionActive(decoded.sid, token))) {
+      return { status: 403, error: 'Invalid or expired token' };
+    }
+  } catch (err) {
+    console.error('Session check error:', err.message);
+    return { status: 503, error: 'Authentication service unavailable' };
+  }
+
+  return { user: decoded };
+};
+
+// Identidad de la petición: la firmada por el gateway (ya verificada allí)
+// o, si se llama al servicio directamente, el Bearer token.
+// Devuelve null si la petición es anónima.
+const resolveUser = async (req) => {
+  const identity = verifyIdentityHeaders(req.headers);
+  if (identity) return identity;
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  if (!token) return null;
+
+  return checkToken(token);
+};
+
+const authenticateToken = async (req, res, next) => {
+  const result = await resolveUser(req);
+
+  if (!result) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  if (!result.user) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  req.user = result.user;
+  next();
+};
+
+// Like authenticateToken, but anonymous requests pass through without req.user
+const optionalAuth = async (req, res, next) => {
+  const result = await resolveUser(req);
+
+  if (!result) {
+    return next();
+  }
+
+  if (!result.user) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  req.user = result.user;
+  next();
+};
+
+module.exports = authenticateToken;
+module.exports.optionalAuth = optionalAuth;
+module.exports.checkToken = checkToken;
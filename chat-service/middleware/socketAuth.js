@@ -0,0 +1,92 @@
+const { checkToken } = require('./auth');
+
+// Qué pueden hacer los sockets sin token:
+//   read-only -> solo unirse a salas públicas y leer
+//   deny      -> la conexión se rechaza
+const ANONYMOUS_ACCESS = process.env.CHAT_ANONYMOUS_ACCESS === 'deny' ? 'deny' : 'read-only';
+
+// Política configurable: sin email verificado no se pueden enviar mensajes
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL === 'true';
+
+// El token puede llegar en `auth: { token }` (recomendado) o en el header Authorization
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) return String(auth.token).replace(/^Bearer /, '');
+
+  const authHeader = headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+const socketError = (message, status) => {
+  const error = new Error(message);
+  error.data = { status };
+  return error;
+};
+
+// Middleware de Socket.IO: deja la identidad verificada en socket.data.user
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket);
+
+  if (!token) {
+    if (ANONYMOUS_ACCESS === 'deny') {
+      return next(socketError('Access token required', 401));
+    }
+    socket.data.user = null;
+    return next();
+  }
+
+  // Un token inválido se rechaza siempre, aunque se permitan anónimos
+  const result = await checkToken(token);
+  if (!result.user) {
+    return next(socketError(result.error, result.status));
+  }
+
+  const { userId, name, email, role, emailVerified, sid, exp } = result.user;
+  socket.data.user = {
+    userId: String(userId),
+    name,
+    email,
+    role: role || 'user',
+    emailVerified: Boolean(emailVerified),
+    sid,
+    exp
+  };
+  next();
+};
+
+// Devuelve el usuario del socket o emite un error si es anónimo o su token expiró
+const requireSocketUser = (socket) => {
+  const user = socket.data.user;
+
+  if (!user) {
+    socket.emit('error', { message: 'Authentication required', code: 'AUTH_REQUIRED' });
+    return null;
+  }
+
+  if (user.exp && user.exp * 1000 < Date.now()) {
+    socket.emit('error', { message: 'Token expired, reconnect with a new token', code: 'TOKEN_EXPIRED' });
+    return null;
+  }
+
+  return user;
+};
+
+// Como requireSocketUser, pero además exige email verificado si la política está activa
+const requireVerifiedSocketUser = (socket) => {
+  const user = requireSocketUser(socket);
+  if (!user) return null;
+
+  if (REQUIRE_VERIFIED_EMAIL && !user.emailVerified) {
+    socket.emit('error', { message: 'Verify your email before posting', code: 'EMAIL_NOT_VERIFIED' });
+    return null;
+  }
+
+  return user;
+};
+
+module.exports = {
+  authenticateSocket,
+  requireSocketUser,
+  requireVerifiedSocketUser,
+  ANONYMOUS_ACCESS
+};
@@ -18,10 +18,70 @@ const messageSchema = new mongoose.Schema({
     type: String,
     default: 'general'
   },
+  // Mensaje al que responde (mismo room)
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  // Una entrada por usuario y emoji; se agrupan al serializar
+  reactions: {
+    type: [{
+      _id: false,
+      emoji: { type: String, required: true },
+      userId: { type: String, required: true }
+    }],
+    default: []
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Borrado lógico: el mensaje se conserva pero su contenido ya no se muestra
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: String,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Historial por sala con paginación before/after (el _id desempata)
+messageSchema.index({ room: 1, createdAt: -1, _id: -1 });
+// Mensajes de un usuario (exportación, renombrado y borrado de cuenta)
+messageSchema.index({ userId: 1 });
+
+// Agrupa las reacciones: [{ emoji, count, userIds }]
+const groupReactions = (reactions = []) => {
+  const groups = new Map();
+  reactions.forEach(({ emoji, userId }) => {
+    if (!groups.has(emoji)) groups.set(emoji, []);
+    groups.get(emoji).push(userId);
+  });
+  return [...groups].map(([emoji, userIds]) => ({ emoji, count: userIds.length, userIds }));
+};
+
+messageSchema.set('toJSON', {
+  virtuals: true,
+  versionKey: false,
+  transform: (doc, ret) => {
+    ret.reactions = groupReactions(ret.reactions);
+    if (ret.deletedAt) {
+      ret.message = '';
+      ret.reactions = [];
+    }
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Una conexión de Socket.IO activa (usada por el presence store de MongoDB)
+const presenceSchema = new mongoose.Schema({
+  _id: {
+    type: String // socket.id
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    default: null
+  },
+  // Instancia de chat-service que tiene el socket
+  instanceId: {
+    type: String,
+    required: true
+  },
+  rooms: {
+    type: [String],
+    default: []
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+presenceSchema.index({ userId: 1 });
+presenceSchema.index({ rooms: 1 });
+presenceSchema.index({ instanceId: 1 });
+// Si una instancia cae sin limpiar, sus conexiones expiran solas
+presenceSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 120 });
+
+module.exports = mongoose.model('Presence', presenceSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Hasta dónde leyó cada usuario en cada sala (para los contadores de no leídos)
+const readMarkerSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  room: {
+    type: String,
+    required: true
+  },
+  lastReadAt: {
+    type: Date,
+    required: true
+  },
+  lastReadMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+readMarkerSchema.index({ userId: 1, room: 1 }, { unique: true });
+readMarkerSchema.index({ room: 1 });
+
+module.exports = mongoose.model('ReadMarker', readMarkerSchema);
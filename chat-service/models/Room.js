@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const roomSchema = new mongoose.Schema({
+  // Identificador usado en Message.room y en los eventos de Socket.IO
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  topic: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Restaurante de core-service al que pertenece la sala (una sala por restaurante)
+  restaurantId: {
+    type: String,
+    default: null
+  },
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'public'
+  },
+  members: {
+    type: [String],
+    default: []
+  },
+  moderators: {
+    type: [String],
+    default: []
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+roomSchema.index(
+  { restaurantId: 1 },
+  { unique: true, partialFilterExpression: { restaurantId: { $type: 'string' } } }
+);
+roomSchema.index({ visibility: 1, name: 1 });
+roomSchema.index({ members: 1 });
+
+roomSchema.methods.isMember = function(userId) {
+  return !!userId && this.members.includes(String(userId));
+};
+
+// Los admins de la plataforma moderan todas las salas
+roomSchema.methods.isModerator = function(user) {
+  if (!user) return false;
+  return user.role === 'admin' || this.moderators.includes(String(user.userId));
+};
+
+// Las salas públicas se leen sin ser miembro; las privadas solo sus miembros
+roomSchema.methods.canRead = function(user) {
+  if (this.visibility === 'public') return true;
+  return !!user && (this.isMember(user.userId) || this.isModerator(user));
+};
+
+module.exports = mongoose.model('Room', roomSchema);
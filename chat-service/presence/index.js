@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const createMemoryPresenceStore = require('./memoryStore');
+const createMongoPresenceStore = require('./mongoStore');
+
+// Identificador de este proceso: marca sus conexiones en el presence store compartido
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomBytes(8).toString('hex');
+
+// Con un adapter distribuido la presencia también tiene que ser compartida
+const defaultDriver = () => {
+  const adapter = process.env.SOCKET_ADAPTER || 'memory';
+  return adapter === 'memory' ? 'memory' : 'mongo';
+};
+
+/**
+ * Crea el presence store configurado en PRESENCE_STORE (memory | mongo).
+ * Con más de una instancia de chat-service debe usarse un store compartido.
+ * Interfaz: connect, disconnect, join, leave, getRoomUsers, isOnline, close.
+ */
+const createPresenceStore = (driver = process.env.PRESENCE_STORE || defaultDriver()) => {
+  switch (driver) {
+    case 'memory':
+      return createMemoryPresenceStore();
+    case 'mongo':
+      return createMongoPresenceStore({ instanceId: INSTANCE_ID });
+    default:
+      throw new Error(`Unknown PRESENCE_STORE: ${driver}`);
+  }
+};
+
+module.exports = { createPresenceStore, INSTANCE_ID };
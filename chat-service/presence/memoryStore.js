@@ -0,0 +1,69 @@
+/**
+ * Presencia en memoria del proceso. Sirve para una sola instancia de chat-service.
+ * Todas las operaciones son async para compartir interfaz con los stores distribuidos.
+ */
+const createMemoryPresenceStore = () => {
+  const sockets = new Map(); // socketId -> { userId, name, rooms: Set }
+
+  const socketsOf = (userId, room) => [...sockets.values()].filter(s =>
+    s.userId === userId && (!room || s.rooms.has(room))
+  );
+
+  return {
+    name: 'memory',
+
+    // Registra un socket; online = es la primera conexión del usuario
+    async connect(socketId, user) {
+      sockets.set(socketId, { userId: user.userId, name: user.name, rooms: new Set() });
+      return { online: socketsOf(user.userId).length === 1 };
+    },
+
+    // Quita un socket; devuelve las salas donde el usuario ya no tiene conexiones
+    async disconnect(socketId) {
+      const entry = sockets.get(socketId);
+      if (!entry) return null;
+
+      sockets.delete(socketId);
+      return {
+        userId: entry.userId,
+        offline: socketsOf(entry.userId).length === 0,
+        rooms: [...entry.rooms].filter(room => socketsOf(entry.userId, room).length === 0)
+      };
+    },
+
+    // first = es el primer socket del usuario en la sala
+    async join(socketId, room) {
+      const entry = sockets.get(socketId);
+      if (!entry || entry.rooms.has(room)) return { first: false };
+
+      entry.rooms.add(room);
+      return { first: socketsOf(entry.userId, room).length === 1, userId: entry.userId, name: entry.name };
+    },
+
+    // last = era el último socket del usuario en la sala
+    async leave(socketId, room) {
+      const entry = sockets.get(socketId);
+      if (!entry || !entry.rooms.has(room)) return { last: false };
+
+      entry.rooms.delete(room);
+      return { last: socketsOf(entry.userId, room).length === 0, userId: entry.userId };
+    },
+
+    // Usuarios conectados a una sala: [{ userId, name }]
+    async getRoomUsers(room) {
+      const users = new Map();
+      sockets.forEach(s => {
+        if (s.rooms.has(room)) users.set(s.userId, { userId: s.userId, name: s.name });
+      });
+      return [...users.values()];
+    },
+
+    async isOnline(userId) {
+      return socketsOf(userId).length > 0;
+    },
+
+    close() {}
+  };
+};
+
+module.exports = createMemoryPresenceStore;
@@ -0,0 +1,92 @@
+const Presence = require('../models/Presence');
+
+// Cada instancia renueva sus conexiones cada HEARTBEAT_MS; las que no se renuevan
+// en STALE_AFTER_MS se consideran de una instancia caída
+const HEARTBEAT_MS = 30000;
+const STALE_AFTER_MS = 90000;
+
+/**
+ * Presencia compartida en MongoDB: funciona con varias instancias de chat-service.
+ * @param {Object} options
+ * @param {string} options.instanceId - Identificador único de este proceso
+ */
+const createMongoPresenceStore = ({ instanceId }) => {
+  const fresh = () => ({ updatedAt: { $gt: new Date(Date.now() - STALE_AFTER_MS) } });
+  const countSockets = (filter) => Presence.countDocuments({ ...filter, ...fresh() });
+
+  const heartbeat = setInterval(() => {
+    Presence.updateMany({ instanceId }, { updatedAt: new Date() })
+      .catch(error => console.error('Presence heartbeat error:', error));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  return {
+    name: 'mongo',
+
+    async connect(socketId, user) {
+      await Presence.create({ _id: socketId, userId: user.userId, name: user.name, instanceId });
+      return { online: (await countSockets({ userId: user.userId })) === 1 };
+    },
+
+    async disconnect(socketId) {
+      const entry = await Presence.findByIdAndDelete(socketId);
+      if (!entry) return null;
+
+      const rooms = [];
+      for (const room of entry.rooms) {
+        if ((await countSockets({ userId: entry.userId, rooms: room })) === 0) rooms.push(room);
+      }
+
+      return {
+        userId: entry.userId,
+        offline: (await countSockets({ userId: entry.userId })) === 0,
+        rooms
+      };
+    },
+
+    async join(socketId, room) {
+      const entry = await Presence.findOneAndUpdate(
+        { _id: socketId, rooms: { $ne: room } },
+        { $addToSet: { rooms: room }, updatedAt: new Date() },
+        { new: true }
+      );
+      if (!entry) return { first: false };
+
+      const count = await countSockets({ userId: entry.userId, rooms: room });
+      return { first: count === 1, userId: entry.userId, name: entry.name };
+    },
+
+    async leave(socketId, room) {
+      const entry = await Presence.findOneAndUpdate(
+        { _id: socketId, rooms: room },
+        { $pull: { rooms: room }, updatedAt: new Date() },
+        { new: true }
+      );
+      if (!entry) return { last: false };
+
+      const count = await countSockets({ userId: entry.userId, rooms: room });
+      return { last: count === 0, userId: entry.userId };
+    },
+
+    async getRoomUsers(room) {
+      const users = await Presence.aggregate([
+        { $match: { rooms: room, ...fresh() } },
+        { $group: { _id: '$userId', name: { $first: '$name' } } },
+        { $project: { _id: 0, userId: '$_id', name: 1 } }
+      ]);
+      return users;
+    },
+
+    async isOnline(userId) {
+      return (await countSockets({ userId })) > 0;
+    },
+
+    // Al apagar la instancia se borran sus conexiones
+    async close() {
+      clearInterval(heartbeat);
+      await Presence.deleteMany({ instanceId });
+    }
+  };
+};
+
+module.exports = createMongoPresenceStore;
@@ -0,0 +1,70 @@
+/**
+ * Crea los documentos Room de las salas que se usaban antes de existir el modelo
+ * (cualquier valor de Message.room). Las salas se crean públicas, como funcionaban.
+ * Los nombres que no son un slug válido se renombran en los mensajes a su slug
+ * ("Tripas Vicentina" -> "tripas-vicentina"); si dos nombres dan el mismo slug,
+ * sus historiales quedan unidos en una sola sala.
+ *
+ * Uso: node scripts/migrate-rooms.js [--dry-run]
+ */
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const { validateRoomSlug, slugify } = require('../utils/validators');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/huequitas_chat_db';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const stats = { created: 0, existing: 0, renamed: 0, skipped: 0 };
+  const rooms = await Message.distinct('room');
+
+  for (const room of rooms) {
+    let slug = room;
+    if (!validateRoomSlug(room).valid) {
+      slug = slugify(room);
+      if (!validateRoomSlug(slug).valid) {
+        console.warn(`⚠️  Sala "${room}": no se puede generar un slug válido, se omite`);
+        stats.skipped++;
+        continue;
+      }
+      console.log(`Sala "${room}" -> ${slug}`);
+      if (!DRY_RUN) {
+        await Message.updateMany({ room }, { room: slug });
+      }
+      stats.renamed++;
+    }
+
+    if (DRY_RUN) {
+      if (await Room.exists({ slug })) stats.existing++;
+      else stats.created++;
+      continue;
+    }
+
+    const result = await Room.updateOne(
+      { slug },
+      { $setOnInsert: { name: room, visibility: 'public' } },
+      { upsert: true }
+    );
+    if (result.upsertedCount > 0) stats.created++;
+    else stats.existing++;
+  }
+
+  console.log(`Rooms: ${stats.created} creadas, ${stats.existing} ya existían, ` +
+    `${stats.renamed} renombradas, ${stats.skipped} omitidas${DRY_RUN ? ' (dry run)' : ''}`);
+
+  await mongoose.disconnect();
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { Server } = require('socket.io');
+const { io: connectClient } = require('socket.io-client');
+const { attachAdapter } = require('../adapters');
+
+// Colección en memoria con la parte de la API de MongoDB que usa @socket.io/mongo-adapter:
+// insertOne publica el documento en los change streams abiertos con watch().
+const createInMemoryCollection = () => {
+  const streams = new Set();
+
+  return {
+    createIndex: async () => {},
+    insertOne: async (doc) => {
+      streams.forEach(stream => stream.publish(doc));
+      return { acknowledged: true };
+    },
+    watch: (pipeline) => {
+      // El adapter filtra sus propios eventos con { 'fullDocument.uid': { $ne: uid } }
+      const ownUid = pipeline[0].$match['fullDocument.uid'].$ne;
+      const stream = new EventEmitter();
+      stream.closed = false;
+      stream.publish = (doc) => {
+        if (doc.uid === ownUid) return;
+        setImmediate(() => stream.emit('change', { operationType: 'insert', fullDocument: doc }));
+      };
+      stream.close = async () => {
+        stream.closed = true;
+        streams.delete(stream);
+      };
+      streams.add(stream);
+      return stream;
+    }
+  };
+};
+
+// Una instancia de chat-service: servidor HTTP + Socket.IO con el adapter indicado
+const startInstance = async (driver, options) => {
+  const server = http.createServer();
+  const io = new Server(server);
+  await attachAdapter(io, driver, options);
+  io.on('connection', socket => socket.join('general'));
+  await new Promise(resolve => server.listen(0, resolve));
+  return { io, server, url: `http://localhost:${server.address().port}` };
+};
+
+const stopInstance = ({ io, server }) => new Promise(resolve => {
+  io.close();
+  server.close(() => resolve());
+});
+
+const connect = (url) => new Promise((resolve, reject) => {
+  const client = connectClient(url, { transports: ['websocket'], forceNew: true });
+  client.on('connect', () => resolve(client));
+  client.on('connect_error', reject);
+});
+
+// Resuelve con el payload del evento o con null si no llega en `timeoutMs`
+const nextEvent = (client, event, timeoutMs) => new Promise(resolve => {
+  const timer = setTimeout(() => resolve(null), timeoutMs);
+  client.once(event, payload => {
+    clearTimeout(timer);
+    resolve(payload);
+  });
+});
+
+test('mongo adapter delivers a message broadcast on another instance', async () => {
+  const collection = createInMemoryCollection();
+  const instanceA = await startInstance('mongo', { collection });
+  const instanceB = await startInstance('mongo', { collection });
+  const client = await connect(instanceA.url);
+
+  try {
+    const received = nextEvent(client, 'new-message', 2000);
+    instanceB.io.to('general').emit('new-message', { room: 'general', message: 'hola desde B' });
+
+    assert.deepStrictEqual(await received, { room: 'general', message: 'hola desde B' });
+  } finally {
+    client.close();
+    await stopInstance(instanceA);
+    await stopInstance(instanceB);
+  }
+});
+
+test('memory adapter keeps broadcasts inside the instance', async () => {
+  const instanceA = await startInstance('memory');
+  const instanceB = await startInstance('memory');
+  const client = await connect(instanceA.url);
+
+  try {
+    const received = nextEvent(client, 'new-message', 300);
+    instanceB.io.to('general').emit('new-message', { room: 'general', message: 'hola desde B' });
+
+    assert.strictEqual(await received, null);
+  } finally {
+    client.close();
+    await stopInstance(instanceA);
+    await stopInstance(instanceB);
+  }
+});
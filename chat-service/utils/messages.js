@@ -0,0 +1,323 @@
+const Message = require('../models/Message');
+const ReadMarker = require('../models/ReadMarker');
+const Room = require('../models/Room');
+const { validateMongoId, validateMessageText, validateEmoji } = require('./validators');
+const { resolveUserName } = require('./users');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+// Los contadores se cortan aquí; el frontend muestra "99+"
+const MAX_UNREAD_COUNT = 100;
+// Vista previa del mensaje respondido que acompaña a cada respuesta
+const REPLY_PREVIEW_FIELDS = 'userId userName message deletedAt createdAt';
+
+/**
+ * Normaliza el parámetro `limit` dentro de [1, MAX_PAGE_SIZE]
+ * @param {string|number} limit - Valor recibido
+ * @returns {number}
+ */
+const parseLimit = (limit) => {
+  const parsed = parseInt(limit, 10);
+  if (isNaN(parsed) || parsed < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+/**
+ * Página del historial de una sala usando un mensaje como cursor.
+ *   before -> mensajes más antiguos que el cursor ("cargar anteriores")
+ *   after  -> mensajes más nuevos que el cursor (ponerse al día tras reconectar)
+ * Sin cursor devuelve los más recientes. Siempre en orden cronológico.
+ * @param {string} room - Slug de la sala
+ * @param {Object} options - { before, after, limit }
+ * @returns {Promise<{ valid: boolean, message?: string, messages?: Array, hasMore?: boolean }>}
+ */
+const getMessagePage = async (room, { before, after, limit } = {}) => {
+  if (before && after) {
+    return { valid: false, message: 'Usa solo uno de before o after' };
+  }
+
+  const pageSize = parseLimit(limit);
+  const cursorId = before || after;
+  const direction = after ? 1 : -1;
+  const filter = { room };
+
+  if (cursorId) {
+    if (!validateMongoId(String(cursorId)).valid) {
+      return { valid: false, message: 'Cursor inválido' };
+    }
+
+    const cursor = await Message.findOne({ _id: cursorId, room }).select('createdAt');
+    if (!cursor) {
+      return { valid: false, message: 'Cursor inválido' };
+    }
+
+    const op = direction === 1 ? '$gt' : '$lt';
+    filter.$or = [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+    ];
+  }
+
+  const docs = await Message.find(filter)
+    .sort({ createdAt: direction, _id: direction })
+    .limit(pageSize + 1)
+    .populate('replyTo', REPLY_PREVIEW_FIELDS)
+    .exec();
+
+  const hasMore = docs.length > pageSize;
+  const messages = hasMore ? docs.slice(0, pageSize) : docs;
+  if (direction === -1) messages.reverse();
+
+  return { valid: true, messages, hasMore };
+};
+
+/**
+ * Marca una sala como leída hasta un mensaje (o hasta ahora). Nunca retrocede.
+ * @param {string} userId - Usuario
+ * @param {string} room - Slug de la sala
+ * @param {string} [messageId] - Último mensaje leído
+ * @returns {Promise<{ valid: boolean, message?: string, marker?: Object }>}
+ */
+const markRead = async (userId, room, messageId) => {
+  let lastReadAt = new Date();
+  let lastReadMessageId = null;
+
+  if (messageId) {
+    if (!validateMongoId(String(messageId)).valid) {
+      return { valid: false, message: 'ID de mensaje inválido' };
+    }
+    const message = await Message.findOne({ _id: messageId, room }).select('createdAt');
+    if (!message) {
+      return { valid: false, message: 'Message not found' };
+    }
+    lastReadAt = message.createdAt;
+    lastReadMessageId = message._id;
+  }
+
+  const marker = await ReadMarker.findOneAndUpdate(
+    { userId, room },
+    { $max: { lastReadAt }, $set: { updatedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+
+  // Solo se guarda el mensaje si fue el que movió el marcador
+  if (lastReadMessageId && marker.lastReadAt.getTime() === lastReadAt.getTime()) {
+    marker.lastReadMessageId = lastReadMessageId;
+    await marker.save();
+  }
+
+  return { valid: true, marker };
+};
+
+/**
+ * Mensajes no leídos por sala para un usuario: salas de las que es miembro
+ * y salas públicas donde tiene un marcador de lectura.
+ * @param {string} userId - Usuario
+ * @returns {Promise<Object>} { [room]: count }
+ */
+const getUnreadCounts = async (userId) => {
+  const [rooms, markers] = await Promise.all([
+    Room.find({ members: userId }).select('slug'),
+    ReadMarker.find({ userId })
+  ]);
+
+  const lastRead = new Map(markers.map(m => [m.room, m.lastReadAt]));
+  const slugs = new Set([...rooms.map(r => r.slug), ...lastRead.keys()]);
+
+  const counts = {};
+  await Promise.all([...slugs].map(async (room) => {
+    counts[room] = await Message.countDocuments(
+      { room, createdAt: { $gt: lastRead.get(room) || new Date(0) }, userId: { $ne: userId } },
+      { limit: MAX_UNREAD_COUNT }
+    );
+  }));
+
+  return counts;
+};
+
+/**
+ * No leídos de una sala para varios usuarios, con una sola consulta de mensajes.
+ * Se usa para avisar a los miembros cuando llega un mensaje nuevo.
+ * @param {string} room - Slug de la sala
+ * @param {string[]} userIds - Usuarios a calcular
+ * @returns {Promise<Map<string, number>>} userId -> count
+ */
+const getRoomUnreadCounts = async (room, userIds) => {
+  const counts = new Map();
+  if (userIds.length === 0) return counts;
+
+  const markers = await ReadMarker.find({ room, userId: { $in: userIds } });
+  const lastRead = new Map(markers.map(m => [m.userId, m.lastReadAt]));
+  const oldest = userIds.reduce((min, id) => {
+    const date = lastRead.get(id) || new Date(0);
+    return date < min ? date : min;
+  }, new Date());
+
+  // Solo hace falta mirar los últimos MAX_UNREAD_COUNT mensajes por usuario;
+  // se piden algunos más para compensar los mensajes propios de cada uno
+  const recent = await Message.find({ room, createdAt: { $gt: oldest } })
+    .sort({ createdAt: -1 })
+    .limit(MAX_UNREAD_COUNT * 2)
+    .select('createdAt userId');
+
+  for (const userId of userIds) {
+    const since = lastRead.get(userId) || new Date(0);
+    const count = recent.filter(m => m.createdAt > since && m.userId !== userId).length;
+    counts.set(userId, Math.min(count, MAX_UNREAD_COUNT));
+  }
+
+  return counts;
+};
+
+/**
+ * Crea un mensaje, opcionalmente como respuesta a otro de la misma sala
+ * @param {Object} user - Autor (identidad del token)
+ * @param {Object} room - Documento Room
+ * @param {Object} data - { message, replyTo }
+ * @returns {Promise<{ valid: boolean, status?: number, message?: string, doc?: Object }>}
+ */
+const createMessage = async (user, room, { message, replyTo }) => {
+  const validation = validateMessageText(message);
+  if (!validation.valid) return { ...validation, status: 400 };
+
+  if (replyTo) {
+    if (!validateMongoId(String(replyTo)).valid) {
+      return { valid: false, status: 400, message: 'Invalid replyTo' };
+    }
+    const parent = await Message.findOne({ _id: replyTo, room: room.slug }).select('_id');
+    if (!parent) {
+      return { valid: false, status: 404, message: 'Message to reply not found' };
+    }
+  }
+
+  // El nombre se toma del perfil: el del token puede estar desactualizado
+  const doc = new Message({
+    userId: user.userId,
+    userName: await resolveUserName(user),
+    message,
+    room: room.slug,
+    replyTo: replyTo || null
+  });
+  await doc.save();
+
+  if (doc.replyTo) {
+    await Message.updateOne({ _id: doc.replyTo }, { $inc: { replyCount: 1 } });
+    await doc.populate('replyTo', REPLY_PREVIEW_FIELDS);
+  }
+
+  return { valid: true, doc };
+};
+
+// Carga un mensaje y su sala verificando que el usuario pueda leerla
+const loadMessage = async (user, messageId) => {
+  if (!validateMongoId(String(messageId)).valid) {
+    return { valid: false, status: 400, message: 'ID de mensaje inválido' };
+  }
+
+  const doc = await Message.findById(messageId);
+  const room = doc && await Room.findOne({ slug: doc.room });
+  if (!doc || !room || !room.canRead(user)) {
+    return { valid: false, status: 404, message: 'Message not found' };
+  }
+
+  if (doc.deletedAt) {
+    return { valid: false, status: 410, message: 'Message was deleted' };
+  }
+
+  return { valid: true, doc, room };
+};
+
+/**
+ * Edita el texto de un mensaje (solo su autor)
+ * @returns {Promise<{ valid: boolean, status?: number, message?: string, doc?: Object }>}
+ */
+const editMessage = async (user, messageId, message) => {
+  const validation = validateMessageText(message);
+  if (!validation.valid) return { ...validation, status: 400 };
+
+  const result = await loadMessage(user, messageId);
+  if (!result.valid) return result;
+
+  if (result.doc.userId !== user.userId) {
+    return { valid: false, status: 403, message: 'Not authorized to edit this message' };
+  }
+
+  result.doc.message = message;
+  result.doc.editedAt = new Date();
+  await result.doc.save();
+
+  return { valid: true, doc: result.doc };
+};
+
+/**
+ * Borrado lógico de un mensaje (autor o moderadores de la sala)
+ * @returns {Promise<{ valid: boolean, status?: number, message?: string, doc?: Object }>}
+ */
+const deleteMessage = async (user, messageId) => {
+  const result = await loadMessage(user, messageId);
+  if (!result.valid) return result;
+
+  const { doc, room } = result;
+  if (doc.userId !== user.userId && !room.isModerator(user)) {
+    return { valid: false, status: 403, message: 'Not authorized to delete this message' };
+  }
+
+  doc.deletedAt = new Date();
+  doc.deletedBy = user.userId;
+  await doc.save();
+
+  return { valid: true, doc };
+};
+
+/**
+ * Agrega o quita la reacción del usuario con un emoji
+ * @returns {Promise<{ valid: boolean, status?: number, message?: string, doc?: Object, added?: boolean }>}
+ */
+const toggleReaction = async (user, messageId, emoji) => {
+  const validation = validateEmoji(emoji);
+  if (!validation.valid) return { ...validation, status: 400 };
+
+  const result = await loadMessage(user, messageId);
+  if (!result.valid) return result;
+
+  const entry = { emoji, userId: user.userId };
+
+  // Primero se intenta quitar; si no existía se agrega (la condición evita duplicados)
+  let doc = await Message.findOneAndUpdate(
+    { _id: messageId, reactions: { $elemMatch: entry } },
+    { $pull: { reactions: entry } },
+    { new: true }
+  );
+  let added = false;
+
+  if (!doc) {
+    doc = await Message.findOneAndUpdate(
+      { _id: messageId, reactions: { $not: { $elemMatch: entry } } },
+      { $push: { reactions: entry } },
+      { new: true }
+    );
+    added = true;
+  }
+
+  // Otra petición concurrente hizo el mismo cambio
+  if (!doc) {
+    doc = await Message.findById(messageId);
+  }
+
+  return { valid: true, doc, added };
+};
+
+module.exports = {
+  parseLimit,
+  getMessagePage,
+  createMessage,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  markRead,
+  getUnreadCounts,
+  getRoomUnreadCounts,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_UNREAD_COUNT
+};
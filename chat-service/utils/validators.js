@@ -0,0 +1,100 @@
+const MAX_ROOM_NAME_LENGTH = 60;
+const MAX_ROOM_TOPIC_LENGTH = 200;
+const ROOM_VISIBILITIES = ['public', 'private'];
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_EMOJI_LENGTH = 16;
+
+// Room slug validation (minúsculas, números y guiones)
+const validateRoomSlug = (slug) => {
+  if (typeof slug !== 'string' || !/^[a-z0-9][a-z0-9-]{1,62}$/.test(slug)) {
+    return { valid: false, message: 'El identificador de la sala solo puede tener minúsculas, números y guiones (2-63 caracteres)' };
+  }
+  return { valid: true };
+};
+
+// Room name validation
+const validateRoomName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { valid: false, message: 'El nombre de la sala es requerido' };
+  }
+  if (name.trim().length > MAX_ROOM_NAME_LENGTH) {
+    return { valid: false, message: `El nombre de la sala no puede exceder ${MAX_ROOM_NAME_LENGTH} caracteres` };
+  }
+  return { valid: true };
+};
+
+// Room topic validation
+const validateRoomTopic = (topic) => {
+  if (topic !== undefined && topic !== null && typeof topic !== 'string') {
+    return { valid: false, message: 'El tema de la sala debe ser texto' };
+  }
+  if (topic && topic.trim().length > MAX_ROOM_TOPIC_LENGTH) {
+    return { valid: false, message: `El tema de la sala no puede exceder ${MAX_ROOM_TOPIC_LENGTH} caracteres` };
+  }
+  return { valid: true };
+};
+
+// Room visibility validation
+const validateRoomVisibility = (visibility) => {
+  if (!ROOM_VISIBILITIES.includes(visibility)) {
+    return { valid: false, message: `La visibilidad debe ser una de: ${ROOM_VISIBILITIES.join(', ')}` };
+  }
+  return { valid: true };
+};
+
+// Message text validation
+const validateMessageText = (message) => {
+  if (typeof message !== 'string' || !message.trim()) {
+    return { valid: false, message: 'Missing required fields' };
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return { valid: false, message: `Message cannot exceed ${MAX_MESSAGE_LENGTH} characters` };
+  }
+  return { valid: true };
+};
+
+// Emoji validation: uno o varios pictogramas (incluye tonos de piel y secuencias ZWJ)
+const validateEmoji = (emoji) => {
+  if (
+    typeof emoji !== 'string' ||
+    !emoji ||
+    emoji.length > MAX_EMOJI_LENGTH ||
+    !/^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u.test(emoji) ||
+    !/\p{Extended_Pictographic}/u.test(emoji)
+  ) {
+    return { valid: false, message: 'Invalid emoji' };
+  }
+  return { valid: true };
+};
+
+// MongoID validation
+const validateMongoId = (id) => {
+  if (!id || typeof id !== 'string' || !id.match(/^[0-9a-fA-F]{24}$/)) {
+    return { valid: false, message: 'ID inválido' };
+  }
+  return { valid: true };
+};
+
+// Genera un slug a partir del nombre: "Tripas de la Vicentina" -> "tripas-de-la-vicentina"
+const slugify = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 63);
+
+module.exports = {
+  validateRoomSlug,
+  validateRoomName,
+  validateRoomTopic,
+  validateRoomVisibility,
+  validateMessageText,
+  validateEmoji,
+  validateMongoId,
+  slugify,
+  MAX_ROOM_NAME_LENGTH,
+  MAX_ROOM_TOPIC_LENGTH,
+  MAX_MESSAGE_LENGTH,
+  ROOM_VISIBILITIES
+};
@@ -0,0 +1,76 @@
+const Review = require('../models/Review');
+const Like = require('../models/Like');
+const Media = require('../models/Media');
+const Restaurant = require('../models/Restaurant');
+const { removeMedia } = require('../utils/media');
+const { applyRatingChange } = require('../utils/ratings');
+const { removeReviewFeedback, removeUserFeedback } = require('../utils/moderation');
+const { rememberUserName, forgetUserName } = require('../utils/users');
+
+// Nombre e ID que quedan en el contenido anonimizado de cuentas eliminadas
+const DELETED_USER_NAME = 'Anonymous';
+const DELETED_USER_ID = 'deleted-user';
+
+// mode = 'delete': se borran sus reseñas y sus imágenes sin uso.
+// mode = 'anonymize' (por defecto): las reseñas quedan sin autor identificable.
+const deleteUserData = async (userId, mode) => {
+  await Like.deleteMany({ userId });
+  await removeUserFeedback(userId);
+  await Restaurant.updateMany({ ownerId: userId }, { $unset: { ownerId: 1 } });
+
+  if (mode === 'delete') {
+    // Igual que DELETE /reviews/:reviewId: solo descuenta quien borró el documento,
+    // así las reseñas escritas en paralelo no pierden su $inc
+    const reviews = await Review.find({ userId }).select('_id');
+    for (const { _id } of reviews) {
+      const deleted = await Review.findByIdAndDelete(_id);
+      if (!deleted) continue;
+      if (!deleted.hidden) await applyRatingChange(deleted.restaurantId, { removed: deleted.rating });
+      await removeReviewFeedback([deleted._id]);
+    }
+
+    // Las imágenes que aún usa algún restaurante se conservan sin dueño
+    const mediaList = await Media.find({ ownerId: userId }).select('_id');
+    for (const media of mediaList) {
+      if (await Restaurant.exists({ imageId: media._id })) {
+        await Media.updateOne({ _id: media._id }, { ownerId: DELETED_USER_ID });
+      } else {
+        await removeMedia(media._id);
+      }
+    }
+    return;
+  }
+
+  await Review.updateMany(
+    { userId },
+    [{ $set: { userId: DELETED_USER_ID, userName: DELETED_USER_NAME, anonymizedId: '$_id' } }]
+  );
+  await Media.updateMany({ ownerId: userId }, { ownerId: DELETED_USER_ID });
+};
+
+// Los handlers son idempotentes: auth-service puede reenviar un evento
+const handlers = {
+  'user-updated': async ({ userId, name }) => {
+    if (!userId || !name) return;
+    rememberUserName(userId, name);
+    await Review.updateMany({ userId, userName: { $ne: name } }, { userName: name });
+  },
+
+  'user-deleted': async ({ userId, mode }) => {
+    if (!userId) return;
+    forgetUserName(userId);
+    await deleteUserData(userId, mode);
+  }
+};
+
+/**
+ * Aplica un evento de dominio a las copias locales. Los tipos desconocidos se ignoran.
+ * @param {Object} event - { id, type, occurredAt, data }
+ */
+const handleEvent = async (event) => {
+  const handler = handlers[event.type];
+  if (!handler) return;
+  await handler(event.data || {});
+};
+
+module.exports = { handleEvent };
@@ -5,15 +5,51 @@ require('dotenv').config();
 const { 
   validateRating,
   validateReviewComment,
-  validateImageFile,
+  validateReport,
+  validateImageUrl,
   validateMongoId,
+  validateCoordinates,
+  validateLocation,
   validateRequired
 } = require('./utils/validators');
+const { processImage, resolveMedia, removeMedia } = require('./utils/media');
+const { fetchUserProfile, resolveUserName } = require('./utils/users');
+const {
+  applyRatingChange,
+  reconcileRatings,
+  getRatingSummary,
+  STARS
+} = require('./utils/ratings');
+const {
+  registerReport,
+  resolveReports,
+  removeReviewFeedback
+} = require('./utils/moderation');
+const { verifyEvent } = require('huequitas-shared/events');
+const { handleEvent } = require('./events/handlers');
+const storage = require('./storage');
+const {
+  parseLimit,
+  decodeCursor,
+  buildCursorFilter,
+  paginate
+} = require('./utils/pagination');
 
 const Restaurant = require('./models/Restaurant');
 const Review = require('./models/Review');
 const Like = require('./models/Like');
+const Media = require('./models/Media');
+const HelpfulVote = require('./models/HelpfulVote');
+const ReviewReport = require('./models/ReviewReport');
 const authenticateToken = require('./middleware/auth');
+const { optionalAuth } = require('./middleware/auth');
+const uploadImage = require('./middleware/upload');
+const {
+  getRole,
+  requireRole,
+  requireVerifiedEmail,
+  authorizeRestaurantOwner
+} = require('./middleware/authorize');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -24,8 +60,33 @@ app.use(cors({
   origin: 'http://localhost:5173',
   credentials: true
 }));
-app.use(express.json({ limit: '100mb' }));
-app.use(express.urlencoded({ limit: '100mb', extended: true }));
+
+// Eventos de dominio de auth-service (webhook firmado). Va antes de los body parsers
+// para verificar la firma sobre el cuerpo original.
+app.post('/internal/events', express.raw({ type: 'application/json', limit: '100kb' }), async (req, res) => {
+  try {
+    const result = verifyEvent(req.body, req.headers);
+    if (!result.valid) {
+      return res.status(result.status).json({ error: result.message });
+    }
+
+    await handleEvent(result.event);
+    res.json({ received: true });
+  } catch (error) {
+    // 500 -> auth-service reintenta
+    console.error('Event handler error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Las imágenes se suben por multipart a /media, los JSON ya no llevan base64
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ limit: '1mb', extended: true }));
+
+// Archivos del driver local (S3 los sirve directamente el bucket/CDN)
+if (storage.name === 'local') {
+  app.use('/media/files', express.static(storage.directory, { maxAge: '365d', immutable: true }));
+}
 
 // Connect to MongoDB
 mongoose.connect(MONGODB_URI, {
@@ -35,22 +96,237 @@ mongoose.connect(MONGODB_URI, {
   .then(() => console.log('✅ Core Service: Connected to MongoDB'))
   .catch(err => console.error('❌ Core Service: MongoDB connection error:', err));
 
+// Con reseñas duplicadas de antes del índice único, el índice no se crea y Mongoose no
+// avisa: sin él vuelven a entrar duplicados. Se corrige con `npm run dedupe:reviews`.
+Review.init().catch(err => {
+  console.error('❌ Core Service: review indexes not built, run `npm run dedupe:reviews`:', err.message);
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', service: 'core-service' });
 });
 
-// GET /restaurants - Get all restaurants
-app.get('/restaurants', async (req, res) => {
+// POST /media - Upload an image (multipart field "file", requires auth)
+app.post('/media', authenticateToken, uploadImage, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'La imagen es requerida (campo "file")' });
+    }
+
+    const result = await processImage(req.file.buffer, req.user.userId);
+    if (!result.valid) {
+      return res.status(400).json({ error: result.message });
+    }
+
+    res.status(201).json(result.media);
+  } catch (error) {
+    console.error('Upload media error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /media/:id - Get media metadata
+app.get('/media/:id', async (req, res) => {
+  try {
+    const validation = validateMongoId(req.params.id);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'ID de imagen inválido' });
+    }
+
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    res.json(media);
+  } catch (error) {
+    console.error('Get media error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /media/:id - Delete an unused media (requires auth, owner only)
+app.delete('/media/:id', authenticateToken, async (req, res) => {
+  try {
+    const validation = validateMongoId(req.params.id);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'ID de imagen inválido' });
+    }
+
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    if (media.ownerId !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to delete this media' });
+    }
+
+    const inUse = await Review.exists({ imageId: media._id }) || await Restaurant.exists({ imageId: media._id });
+    if (inUse) {
+      return res.status(409).json({ error: 'La imagen está en uso' });
+    }
+
+    await removeMedia(media._id);
+    res.json({ message: 'Media deleted successfully' });
+  } catch (error) {
+    console.error('Delete media error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Aplica `imageId` del body a un documento. undefined = sin cambios, null = quitar imagen.
+// Devuelve { valid, message } y en `replacedImageId` la imagen anterior que quedó sin uso.
+const applyImage = async (doc, imageId, userId) => {
+  if (imageId === undefined) return { valid: true };
+
+  const previousImageId = doc.imageId;
+  if (imageId === null) {
+    doc.imageId = null;
+    doc.image = null;
+    doc.thumbnail = null;
+    return { valid: true, replacedImageId: previousImageId };
+  }
+
+  const result = await resolveMedia(imageId, userId);
+  if (!result.valid) return result;
+
+  doc.imageId = result.media._id;
+  doc.image = result.media.url;
+  doc.thumbnail = result.media.thumbnailUrl;
+
+  const replaced = previousImageId && !previousImageId.equals(result.media._id);
+  return { valid: true, replacedImageId: replaced ? previousImageId : null };
+};
+
+// Ordenamientos soportados por GET /restaurants
+const RESTAURANT_SORTS = {
+  newest: 'createdAt',
+  rating: 'rating',
+  totalRatings: 'totalRatings'
+};
+
+// GET /restaurants - Search, filter, sort and paginate restaurants
+// Query: q, cuisine (lista separada por comas), minRating, liked=true,
+//        sort (newest|rating|totalRatings), limit, cursor
+// Cambio incompatible: responde { restaurants, nextCursor } (antes un array con todos
+// los restaurantes). Los clientes deben leer `restaurants` y pedir más con `cursor`.
+app.get('/restaurants', optionalAuth, async (req, res) => {
   try {
-    const restaurants = await Restaurant.find().sort({ createdAt: -1 });
-    res.json(restaurants);
+    const { q, cuisine, minRating, liked, sort = 'newest', limit, cursor } = req.query;
+    const conditions = [];
+
+    // ?q=a&q=b llega como array
+    if (q !== undefined && typeof q !== 'string') {
+      return res.status(400).json({ error: 'q debe ser un texto' });
+    }
+
+    const sortField = RESTAURANT_SORTS[sort];
+    if (!sortField) {
+      return res.status(400).json({
+        error: `Ordenamiento inválido. Usa uno de: ${Object.keys(RESTAURANT_SORTS).join(', ')}`
+      });
+    }
+
+    if (q && q.trim()) {
+      conditions.push({ $text: { $search: q.trim() } });
+    }
+
+    if (cuisine) {
+      const cuisines = String(cuisine).split(',').map(c => c.trim()).filter(Boolean);
+      if (cuisines.length > 0) {
+        conditions.push({ cuisine: { $in: cuisines } });
+      }
+    }
+
+    if (minRating !== undefined) {
+      const min = Number(minRating);
+      if (isNaN(min) || min < 0 || min > 5) {
+        return res.status(400).json({ error: 'minRating debe ser un número entre 0 y 5' });
+      }
+      conditions.push({ rating: { $gte: min } });
+    }
+
+    if (liked === 'true') {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Access token required' });
+      }
+      const likedIds = await Like.find({ userId: req.user.userId }).distinct('restaurantId');
+      conditions.push({ _id: { $in: likedIds } });
+    }
+
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({ error: 'Cursor inválido' });
+      }
+      conditions.push(buildCursorFilter(sortField, -1, decoded));
+    }
+
+    const pageSize = parseLimit(limit);
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+    const docs = await Restaurant.find(filter)
+      .sort({ [sortField]: -1, _id: -1 })
+      .limit(pageSize + 1);
+
+    const { items, nextCursor } = paginate(docs, pageSize, sortField);
+    res.json({ restaurants: items, nextCursor });
   } catch (error) {
     console.error('Get restaurants error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+const DEFAULT_NEARBY_RADIUS_METERS = 2000;
+const MAX_NEARBY_RADIUS_METERS = 50000;
+
+// GET /restaurants/nearby - Restaurants near a point, sorted by distance
+// Query: lat, lng, radius (metros), limit, cuisine
+app.get('/restaurants/nearby', async (req, res) => {
+  try {
+    const { lat, lng, radius, limit, cuisine } = req.query;
+
+    const validation = validateCoordinates(lat, lng);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.message });
+    }
+
+    let maxDistance = DEFAULT_NEARBY_RADIUS_METERS;
+    if (radius !== undefined) {
+      maxDistance = Number(radius);
+      if (isNaN(maxDistance) || maxDistance <= 0 || maxDistance > MAX_NEARBY_RADIUS_METERS) {
+        return res.status(400).json({
+          error: `El radio debe ser un número entre 1 y ${MAX_NEARBY_RADIUS_METERS} metros`
+        });
+      }
+    }
+
+    const query = {};
+    if (cuisine) {
+      query.cuisine = { $in: String(cuisine).split(',').map(c => c.trim()).filter(Boolean) };
+    }
+
+    const restaurants = await Restaurant.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [Number(lng), Number(lat)] },
+          distanceField: 'distance',
+          maxDistance,
+          spherical: true,
+          query
+        }
+      },
+      { $limit: parseLimit(limit) }
+    ]);
+
+    res.json(restaurants.map(r => ({ ...r, distance: Math.round(r.distance) })));
+  } catch (error) {
+    console.error('Get nearby restaurants error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /restaurants/:id - Get single restaurant
 app.get('/restaurants/:id', async (req, res) => {
   try {
@@ -65,22 +341,52 @@ app.get('/restaurants/:id', async (req, res) => {
   }
 });
 
-// POST /restaurants - Create restaurant (requires auth)
-app.post('/restaurants', authenticateToken, async (req, res) => {
+// POST /restaurants - Create restaurant (requires owner or admin role)
+app.post('/restaurants', authenticateToken, requireRole('owner', 'admin'), async (req, res) => {
   try {
-    const { name, description, address, cuisine } = req.body;
+    const { name, description, address, cuisine, location, image, imageId } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: 'Restaurant name is required' });
     }
 
+    // El dueño se asigna después con PATCH /restaurants/:id/owner
+    if (req.body.ownerId !== undefined) {
+      return res.status(400).json({ error: 'Usa PATCH /restaurants/:id/owner para asignar el dueño' });
+    }
+
+    let geoLocation;
+    if (location !== undefined && location !== null) {
+      const validation = validateLocation(location);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.message });
+      }
+      geoLocation = validation.location;
+    }
+
+    if (image !== undefined && image !== null) {
+      const validation = validateImageUrl(image);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.message });
+      }
+    }
+
     const restaurant = new Restaurant({
       name,
       description,
       address,
-      cuisine
+      cuisine,
+      location: geoLocation,
+      image,
+      // Un owner crea huecas a su nombre; las de un admin quedan sin dueño
+      ownerId: getRole(req.user) === 'admin' ? null : req.user.userId
     });
 
+    const imageResult = await applyImage(restaurant, imageId, req.user.userId);
+    if (!imageResult.valid) {
+      return res.status(400).json({ error: imageResult.message });
+    }
+
     await restaurant.save();
     res.status(201).json(restaurant);
   } catch (error) {
@@ -89,12 +395,81 @@ app.post('/restaurants', authenticateToken, async (req, res) => {
   }
 });
 
-// PUT /restaurants/:id - Update restaurant (requires auth)
-app.put('/restaurants/:id', authenticateToken, async (req, res) => {
+// Campos de un restaurante que se pueden editar con PUT /restaurants/:id
+const EDITABLE_RESTAURANT_FIELDS = ['name', 'description', 'address', 'cuisine', 'location', 'image', 'imageId'];
+const RESTAURANT_TEXT_FIELDS = ['name', 'description', 'address', 'cuisine'];
+
+// PUT /restaurants/:id - Update restaurant (requires admin or the restaurant's owner)
+app.put('/restaurants/:id', authenticateToken, authorizeRestaurantOwner, async (req, res) => {
   try {
+    // Un body con operadores ($set, $inc...) llegaría tal cual a Mongoose
+    if (Object.keys(req.body).some(key => key.startsWith('$'))) {
+      return res.status(400).json({ error: 'El body no puede contener operadores' });
+    }
+
+    // Solo se copian los campos editables: el dueño usa PATCH /restaurants/:id/owner
+    // y las estadísticas de rating las calculan las reseñas
+    const update = { updatedAt: Date.now() };
+    for (const field of EDITABLE_RESTAURANT_FIELDS) {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    }
+
+    for (const field of RESTAURANT_TEXT_FIELDS) {
+      const value = update[field];
+      if (value !== undefined && typeof value !== 'string' && !(value === null && field !== 'name')) {
+        return res.status(400).json({ error: `${field} debe ser un texto` });
+      }
+    }
+
+    // null elimina la ubicación; cualquier otro valor debe ser válido
+    if (update.location === null) {
+      delete update.location;
+      update.$unset = { location: 1 };
+    } else if (update.location !== undefined) {
+      const validation = validateLocation(update.location);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.message });
+      }
+      update.location = validation.location;
+    }
+
+    // La imagen se asigna con imageId (subida a /media) o con una URL externa
+    if (update.image === null && update.imageId === undefined) {
+      update.imageId = null;
+    }
+
+    let previous = null;
+    if (update.imageId !== undefined) {
+      previous = await Restaurant.findById(req.params.id).select('imageId');
+      if (!previous) {
+        return res.status(404).json({ error: 'Restaurant not found' });
+      }
+
+      if (update.imageId === null) {
+        update.image = null;
+        update.thumbnail = null;
+      } else {
+        const result = await resolveMedia(update.imageId, req.user.userId);
+        if (!result.valid) {
+          return res.status(400).json({ error: result.message });
+        }
+        update.imageId = result.media._id;
+        update.image = result.media.url;
+        update.thumbnail = result.media.thumbnailUrl;
+      }
+    } else if (update.image !== undefined) {
+      const validation = validateImageUrl(update.image);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.message });
+      }
+      previous = await Restaurant.findById(req.params.id).select('imageId');
+      update.imageId = null;
+      update.thumbnail = null;
+    }
+
     const restaurant = await Restaurant.findByIdAndUpdate(
       req.params.id,
-      { ...req.body, updatedAt: Date.now() },
+      update,
       { new: true, runValidators: true }
     );
 
@@ -102,6 +477,10 @@ app.put('/restaurants/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Restaurant not found' });
     }
 
+    if (previous && previous.imageId && !previous.imageId.equals(restaurant.imageId)) {
+      await removeMedia(previous.imageId);
+    }
+
     res.json(restaurant);
   } catch (error) {
     console.error('Update restaurant error:', error);
@@ -109,8 +488,42 @@ app.put('/restaurants/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// DELETE /restaurants/:id - Delete restaurant (requires auth)
-app.delete('/restaurants/:id', authenticateToken, async (req, res) => {
+// PATCH /restaurants/:id/owner - Assign or remove a restaurant's owner (requires admin)
+app.patch('/restaurants/:id/owner', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { ownerId = null } = req.body;
+
+    let validation = validateMongoId(req.params.id);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'ID de restaurante inválido' });
+    }
+
+    if (ownerId !== null) {
+      validation = validateMongoId(String(ownerId));
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'ID de usuario inválido' });
+      }
+    }
+
+    const restaurant = await Restaurant.findByIdAndUpdate(
+      req.params.id,
+      { ownerId, updatedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    res.json(restaurant);
+  } catch (error) {
+    console.error('Assign restaurant owner error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /restaurants/:id - Delete restaurant (requires admin)
+app.delete('/restaurants/:id', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const restaurant = await Restaurant.findByIdAndDelete(req.params.id);
 
@@ -118,9 +531,16 @@ app.delete('/restaurants/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Restaurant not found' });
     }
 
-    // Also delete related reviews and likes
+    // Also delete related reviews (with their votes and reports), likes and images
+    const reviewImageIds = await Review.find({ restaurantId: req.params.id, imageId: { $ne: null } })
+      .distinct('imageId');
+    const reviewIds = await Review.find({ restaurantId: req.params.id }).distinct('_id');
     await Review.deleteMany({ restaurantId: req.params.id });
+    await removeReviewFeedback(reviewIds);
     await Like.deleteMany({ restaurantId: req.params.id });
+    for (const mediaId of [restaurant.imageId, ...reviewImageIds]) {
+      await removeMedia(mediaId);
+    }
 
     res.json({ message: 'Restaurant deleted successfully' });
   } catch (error) {
@@ -129,12 +549,49 @@ app.delete('/restaurants/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// 409 de POST /reviews: el cliente recibe el ID de la reseña que ya existe
+const sendReviewExists = (res, review) => res.status(409).json({
+  error: 'Ya tienes una reseña para este restaurante',
+  code: 'REVIEW_EXISTS',
+  reviewId: review ? review._id : null
+});
+
+// Edita una reseña ya validada (PUT /reviews/:id y POST /reviews?upsert=true).
+// Devuelve { valid, message }; `notFound` si la reseña se borró mientras tanto.
+const updateReview = async (review, { rating, comment, imageId }, userId) => {
+  const update = { rating: Number(rating), updatedAt: Date.now() };
+  if (comment) update.comment = comment;
+  const imageResult = await applyImage(update, imageId, userId);
+  if (!imageResult.valid) return imageResult;
+
+  // Un solo update condicional: si la reseña se borró entretanto no hay documento (404).
+  // El rating anterior que devuelve Mongo es el que se descuenta, así dos ediciones
+  // simultáneas no desajustan los contadores
+  const previous = await Review.findOneAndUpdate(
+    { _id: review._id },
+    update,
+    { new: false, runValidators: true }
+  );
+  if (!previous) return { valid: false, notFound: true };
+  // Una reseña oculta no está en los contadores: se suma al aprobarla con su rating de entonces
+  if (!previous.hidden) {
+    await applyRatingChange(previous.restaurantId, { added: update.rating, removed: previous.rating });
+  }
+
+  if (imageId !== undefined && previous.imageId && !previous.imageId.equals(update.imageId)) {
+    await removeMedia(previous.imageId);
+  }
+
+  review.set(update);
+  return { valid: true };
+};
+
 // POST /reviews - Create review (requires auth)
-app.post('/reviews', authenticateToken, async (req, res) => {
+// Query: upsert=true edita la reseña existente en lugar de responder 409
+app.post('/reviews', authenticateToken, requireVerifiedEmail, async (req, res) => {
   try {
-    const { restaurantId, rating, comment, image } = req.body;
+    const { restaurantId, rating, comment, image, imageId } = req.body;
     const userId = req.user.userId;
-    const userName = req.user.name;
 
       // Validar restaurantId
     let validation = validateMongoId(restaurantId);
@@ -154,10 +611,9 @@ app.post('/reviews', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: validation.message });
     }
 
-    // Validar imagen
-    validation = validateImageFile(image);
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.message });
+    // Las imágenes se suben antes a POST /media y aquí solo se envía imageId
+    if (image !== undefined) {
+      return res.status(400).json({ error: 'Sube la imagen a /media y envía su imageId' });
     }
 
     // Check if restaurant exists
@@ -166,24 +622,46 @@ app.post('/reviews', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Restaurant not found' });
     }
 
-    // Create review
+    // Una reseña por usuario y restaurante: con ?upsert=true se edita la existente
+    const existing = await Review.findOne({ restaurantId, userId });
+    if (existing) {
+      if (req.query.upsert !== 'true') {
+        return sendReviewExists(res, existing);
+      }
+      const result = await updateReview(existing, { rating, comment, imageId }, userId);
+      if (result.notFound) {
+        return res.status(404).json({ error: 'Review not found' });
+      }
+      if (!result.valid) {
+        return res.status(400).json({ error: result.message });
+      }
+      return res.json(existing);
+    }
+
+    // Create review (el nombre se toma del perfil: el del token puede estar desactualizado)
     const review = new Review({
       restaurantId,
       userId,
-      userName,
+      userName: await resolveUserName(req.user),
       rating,
-      comment,
-      image
+      comment
     });
 
-    await review.save();
+    const imageResult = await applyImage(review, imageId, userId);
+    if (!imageResult.valid) {
+      return res.status(400).json({ error: imageResult.message });
+    }
 
-    // Update restaurant rating
-    const reviews = await Review.find({ restaurantId });
-    const avgRating = reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length;
-    restaurant.rating = parseFloat(avgRating.toFixed(2));
-    restaurant.totalRatings = reviews.length;
-    await restaurant.save();
+    try {
+      await review.save();
+    } catch (error) {
+      // Otra petición creó la reseña entre el findOne y el save (índice único)
+      if (error.code !== 11000) throw error;
+      return sendReviewExists(res, await Review.findOne({ restaurantId, userId }));
+    }
+
+    // Update restaurant rating ($inc atómico, sin recorrer las reseñas)
+    await applyRatingChange(restaurantId, { added: review.rating });
 
     res.status(201).json(review);
   } catch (error) {
@@ -195,7 +673,7 @@ app.post('/reviews', authenticateToken, async (req, res) => {
 // PUT /reviews/:reviewId - Edit review (requires auth)
 app.put('/reviews/:reviewId', authenticateToken, async (req, res) => {
   try {
-    const { rating, comment, image } = req.body;
+    const { rating, comment, image, imageId } = req.body;
     const userId = req.user.userId;
 
     // Validar ID de review
@@ -216,10 +694,9 @@ app.put('/reviews/:reviewId', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: validation.message });
     }
 
-    // Validar imagen
-    validation = validateImageFile(image);
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.message });
+    // Las imágenes se suben antes a POST /media y aquí solo se envía imageId
+    if (image !== undefined) {
+      return res.status(400).json({ error: 'Sube la imagen a /media y envía su imageId' });
     }
 
     const review = await Review.findById(req.params.reviewId);
@@ -233,19 +710,13 @@ app.put('/reviews/:reviewId', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to edit this review' });
     }
 
-    // Actualizar review
-    review.rating = rating;
-    review.comment = comment || review.comment;
-    review.image = image !== undefined ? image : review.image;
-    review.updatedAt = Date.now();
-    await review.save();
-
-    // Recalcular rating del restaurante
-    const reviews = await Review.find({ restaurantId: review.restaurantId });
-    const avgRating = reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length;
-    const restaurant = await Restaurant.findById(review.restaurantId);
-    restaurant.rating = parseFloat(avgRating.toFixed(2));
-    await restaurant.save();
+    const result = await updateReview(review, { rating, comment, imageId }, userId);
+    if (result.notFound) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (!result.valid) {
+      return res.status(400).json({ error: result.message });
+    }
 
     res.json(review);
   } catch (error) {
@@ -276,24 +747,13 @@ app.delete('/reviews/:reviewId', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to delete this review' });
     }
 
-    const restaurantId = review.restaurantId;
-    await Review.findByIdAndDelete(req.params.reviewId);
-
-    // Recalcular rating del restaurante
-    const reviews = await Review.find({ restaurantId });
-    if (reviews.length > 0) {
-      const avgRating = reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length;
-      const restaurant = await Restaurant.findById(restaurantId);
-      restaurant.rating = parseFloat(avgRating.toFixed(2));
-      restaurant.totalRatings = reviews.length;
-      await restaurant.save();
-    } else {
-      // Si no hay más reviews, resetear el rating
-      const restaurant = await Restaurant.findById(restaurantId);
-      restaurant.rating = 0;
-      restaurant.totalRatings = 0;
-      await restaurant.save();
+    // Solo descuenta quien efectivamente borró el documento (evita doble descuento)
+    const deleted = await Review.findByIdAndDelete(req.params.reviewId);
+    if (deleted) {
+      if (!deleted.hidden) await applyRatingChange(deleted.restaurantId, { removed: deleted.rating });
+      await removeReviewFeedback([deleted._id]);
     }
+    await removeMedia(review.imageId);
 
     res.json({ message: 'Review deleted successfully' });
   } catch (error) {
@@ -302,18 +762,212 @@ app.delete('/reviews/:reviewId', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /reviews/:restaurantId - Get reviews for a restaurant
-app.get('/reviews/:restaurantId', async (req, res) => {
+// GET /reviews/mine?restaurantId= - Own review for a restaurant (requires auth)
+// Va antes de /reviews/:restaurantId para que "mine" no se tome como ID
+app.get('/reviews/mine', authenticateToken, async (req, res) => {
   try {
-    const reviews = await Review.find({ restaurantId: req.params.restaurantId })
-      .sort({ createdAt: -1 });
-    res.json(reviews);
+    // ?restaurantId=a&restaurantId=b llega como array
+    const { restaurantId } = req.query;
+    const validation = typeof restaurantId === 'string' ? validateMongoId(restaurantId) : { valid: false };
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'ID de restaurante inválido' });
+    }
+
+    const review = await Review.findOne({ restaurantId, userId: req.user.userId });
+
+    res.json({ review: review || null });
+  } catch (error) {
+    console.error('Get own review error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Ordenamientos soportados por GET /reviews/:restaurantId: [campo, dirección]
+const REVIEW_SORTS = {
+  newest: ['createdAt', -1],
+  highest: ['rating', -1],
+  lowest: ['rating', 1],
+  // Las reseñas anteriores a los votos necesitan `npm run migrate:helpful`
+  helpful: ['helpfulCount', -1]
+};
+
+// GET /reviews/:restaurantId - Paginated reviews for a restaurant + rating summary
+// Query: sort (newest|highest|lowest|helpful), rating (estrellas separadas por comas),
+//        withPhotos=true, includeImages=true (por defecto solo se envía la miniatura),
+//        limit, cursor
+// Las reseñas ocultas por reportes no se listan ni cuentan en el rating hasta moderarse.
+// Con sesión, cada reseña indica en `votedHelpful` si el usuario la marcó como útil.
+app.get('/reviews/:restaurantId', optionalAuth, async (req, res) => {
+  try {
+    const { sort = 'newest', rating, withPhotos, includeImages, limit, cursor } = req.query;
+
+    const validation = validateMongoId(req.params.restaurantId);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'ID de restaurante inválido' });
+    }
+
+    const sortSpec = REVIEW_SORTS[sort];
+    if (!sortSpec) {
+      return res.status(400).json({
+        error: `Ordenamiento inválido. Usa uno de: ${Object.keys(REVIEW_SORTS).join(', ')}`
+      });
+    }
+    const [sortField, direction] = sortSpec;
+
+    const restaurant = await Restaurant.findById(req.params.restaurantId)
+      .select('rating totalRatings ratingHistogram');
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const conditions = [{ restaurantId: restaurant._id, hidden: { $ne: true } }];
+
+    if (rating !== undefined) {
+      const stars = String(rating).split(',').map(r => Number(r.trim()));
+      if (stars.length === 0 || !stars.every(star => STARS.includes(star))) {
+        return res.status(400).json({ error: 'rating debe ser una lista de estrellas entre 1 y 5' });
+      }
+      conditions.push({ rating: { $in: stars } });
+    }
+
+    if (withPhotos === 'true') {
+      conditions.push({ imageId: { $ne: null } });
+    }
+
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({ error: 'Cursor inválido' });
+      }
+      conditions.push(buildCursorFilter(sortField, direction, decoded));
+    }
+
+    // La imagen completa (o un base64 sin migrar) solo se envía si se pide;
+    // los datos de moderación nunca salen en el listado público
+    const pageSize = parseLimit(limit);
+    const hiddenFields = includeImages === 'true' ? '' : ' -image';
+    const query = Review.find({ $and: conditions })
+      .select(`-reportCount -moderatedAt${hiddenFields}`)
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(pageSize + 1);
+
+    const { items, nextCursor } = paginate(await query, pageSize, sortField);
+
+    let reviews = items;
+    if (req.user) {
+      const voted = await HelpfulVote.find({
+        userId: req.user.userId,
+        reviewId: { $in: items.map(review => review._id) }
+      }).distinct('reviewId');
+      const votedIds = new Set(voted.map(String));
+      reviews = items.map(review => ({ ...review.toJSON(), votedHelpful: votedIds.has(String(review._id)) }));
+    }
+
+    res.json({ reviews, nextCursor, summary: getRatingSummary(restaurant) });
   } catch (error) {
     console.error('Get reviews error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// POST /reviews/:reviewId/helpful - Mark/unmark a review as helpful (requires auth)
+app.post('/reviews/:reviewId/helpful', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const validation = validateMongoId(req.params.reviewId);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'ID de reseña inválido' });
+    }
+
+    const review = await Review.findById(req.params.reviewId).select('userId hidden');
+    if (!review || review.hidden) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (review.userId === userId) {
+      return res.status(403).json({ error: 'No puedes votar tu propia reseña' });
+    }
+
+    // helpfulCount solo cambia si este request creó o borró el voto
+    let helpful;
+    const existingVote = await HelpfulVote.findOne({ reviewId: review._id, userId });
+    if (existingVote) {
+      const deleted = await HelpfulVote.findByIdAndDelete(existingVote._id);
+      if (deleted) {
+        await Review.updateOne({ _id: review._id }, { $inc: { helpfulCount: -1 } });
+      }
+      helpful = false;
+    } else {
+      try {
+        await new HelpfulVote({ reviewId: review._id, userId }).save();
+        await Review.updateOne({ _id: review._id }, { $inc: { helpfulCount: 1 } });
+      } catch (error) {
+        // Voto duplicado por una petición simultánea
+        if (error.code !== 11000) throw error;
+      }
+      helpful = true;
+    }
+
+    const updated = await Review.findById(review._id).select('helpfulCount');
+    res.json({
+      message: helpful ? 'Review marked as helpful' : 'Review unmarked as helpful',
+      helpful,
+      helpfulCount: updated ? updated.helpfulCount : 0
+    });
+  } catch (error) {
+    console.error('Helpful vote error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /reviews/:reviewId/report - Report a review for moderation (requires auth)
+// Body: { reason: spam|offensive|off-topic|fake|other, details? }
+app.post('/reviews/:reviewId/report', authenticateToken, async (req, res) => {
+  try {
+    const { reason, details } = req.body;
+    const userId = req.user.userId;
+
+    let validation = validateMongoId(req.params.reviewId);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'ID de reseña inválido' });
+    }
+
+    validation = validateReport(reason, details);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.message });
+    }
+
+    const review = await Review.findById(req.params.reviewId).select('userId restaurantId');
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (review.userId === userId) {
+      return res.status(403).json({ error: 'No puedes reportar tu propia reseña' });
+    }
+
+    try {
+      await new ReviewReport({
+        reviewId: review._id,
+        restaurantId: review.restaurantId,
+        reporterId: userId,
+        reason,
+        details: details ? details.trim() : null
+      }).save();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({ error: 'Ya reportaste esta reseña' });
+    }
+
+    await registerReport(review._id);
+    res.status(201).json({ message: 'Reseña reportada, la revisaremos pronto' });
+  } catch (error) {
+    console.error('Report review error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // POST /like - Like/unlike a restaurant (requires auth)
 app.post('/like', authenticateToken, async (req, res) => {
   try {
@@ -370,7 +1024,253 @@ app.get('/likes/:restaurantId', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/seed', async (req, res) => {
+const PROFILE_LIKED_LIMIT = 20;
+
+// GET /users/:id - Public profile (auth-service) + review and like activity
+app.get('/users/:id', async (req, res) => {
+  try {
+    const validation = validateMongoId(req.params.id);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'ID de usuario inválido' });
+    }
+
+    const userId = req.params.id;
+
+    let user;
+    try {
+      user = await fetchUserProfile(userId);
+    } catch (err) {
+      console.error('Profile fetch error:', err.message);
+      return res.status(503).json({ error: 'Authentication service unavailable' });
+    }
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const [reviewStats, likedCount, likes] = await Promise.all([
+      Review.aggregate([
+        { $match: { userId } },
+        { $group: { _id: null, count: { $sum: 1 }, average: { $avg: '$rating' } } }
+      ]),
+      Like.countDocuments({ userId }),
+      Like.find({ userId }).sort({ createdAt: -1 }).limit(PROFILE_LIKED_LIMIT)
+    ]);
+
+    // Se conserva el orden de los likes (más recientes primero)
+    const restaurants = await Restaurant.find({ _id: { $in: likes.map(like => like.restaurantId) } })
+      .select('name cuisine address image thumbnail rating totalRatings');
+    const byId = new Map(restaurants.map(restaurant => [String(restaurant._id), restaurant]));
+    const likedRestaurants = likes
+      .map(like => byId.get(String(like.restaurantId)))
+      .filter(Boolean);
+
+    const stats = reviewStats[0] || { count: 0, average: null };
+
+    res.json({
+      user,
+      stats: {
+        reviewCount: stats.count,
+        averageRatingGiven: stats.average === null ? null : Math.round(stats.average * 10) / 10,
+        likedCount
+      },
+      likedRestaurants
+    });
+  } catch (error) {
+    console.error('Get user profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /admin/ratings/reconcile - Recompute rating stats from the reviews collection (admin)
+// Body opcional: { restaurantId } para reconciliar un solo restaurante
+app.post('/admin/ratings/reconcile', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { restaurantId } = req.body;
+
+    if (restaurantId !== undefined) {
+      if (typeof restaurantId !== 'string') {
+        return res.status(400).json({ error: 'ID de restaurante inválido' });
+      }
+      const validation = validateMongoId(restaurantId);
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'ID de restaurante inválido' });
+      }
+    }
+
+    const result = await reconcileRatings(restaurantId ? [restaurantId] : undefined);
+    res.json({ message: 'Estadísticas de rating reconciliadas', ...result });
+  } catch (error) {
+    console.error('Reconcile ratings error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /admin/reviews/reports - Moderation queue: reviews with pending reports (admin)
+// Query: limit, cursor. Primero las más reportadas.
+app.get('/admin/reviews/reports', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+    const conditions = [{ reportCount: { $gt: 0 } }];
+
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({ error: 'Cursor inválido' });
+      }
+      conditions.push(buildCursorFilter('reportCount', -1, decoded));
+    }
+
+    const pageSize = parseLimit(limit);
+    const docs = await Review.find({ $and: conditions })
+      .select('-image')
+      .sort({ reportCount: -1, _id: -1 })
+      .limit(pageSize + 1);
+    const { items, nextCursor } = paginate(docs, pageSize, 'reportCount');
+
+    const reports = await ReviewReport.find({
+      reviewId: { $in: items.map(review => review._id) },
+      status: 'pending'
+    }).sort({ createdAt: 1 });
+    const byReview = new Map();
+    reports.forEach(report => {
+      const key = String(report.reviewId);
+      if (!byReview.has(key)) byReview.set(key, []);
+      byReview.get(key).push({
+        id: report._id,
+        reporterId: report.reporterId,
+        reason: report.reason,
+        details: report.details,
+        createdAt: report.createdAt
+      });
+    });
+
+    res.json({
+      queue: items.map(review => ({
+        review,
+        reports: byReview.get(String(review._id)) || []
+      })),
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /admin/reviews/:reviewId/moderate - Resolve the reports of a review (admin)
+// Body: { action: 'approve' (se mantiene y vuelve a mostrarse) | 'remove' (se elimina) }
+app.post('/admin/reviews/:reviewId/moderate', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { action } = req.body;
+    const moderatorId = req.user.userId;
+
+    const validation = validateMongoId(req.params.reviewId);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'ID de reseña inválido' });
+    }
+
+    if (action !== 'approve' && action !== 'remove') {
+      return res.status(400).json({ error: 'La acción debe ser approve o remove' });
+    }
+
+    const review = await Review.findById(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (action === 'approve') {
+      // Solo quien la vuelve visible suma su rating (condición hidden en el filtro)
+      const restored = await Review.findOneAndUpdate(
+        { _id: review._id, hidden: true },
+        { hidden: false, reportCount: 0, moderatedAt: new Date() }
+      );
+      if (restored) {
+        await applyRatingChange(restored.restaurantId, { added: restored.rating });
+      } else {
+        await Review.updateOne({ _id: review._id }, { reportCount: 0, moderatedAt: new Date() });
+      }
+      await resolveReports(review._id, 'dismissed', moderatorId);
+      return res.json({ message: 'Reseña aprobada' });
+    }
+
+    await resolveReports(review._id, 'upheld', moderatorId);
+    const deleted = await Review.findByIdAndDelete(review._id);
+    if (deleted) {
+      if (!deleted.hidden) await applyRatingChange(deleted.restaurantId, { removed: deleted.rating });
+      await removeReviewFeedback([deleted._id]);
+    }
+    await removeMedia(review.imageId);
+
+    res.json({ message: 'Reseña eliminada' });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /me/export - Personal data held by core-service (auth-service builds the full export)
+app.get('/me/export', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const [reviews, likes, media, restaurants, helpfulVotes, reports] = await Promise.all([
+      Review.find({ userId }).sort({ createdAt: 1 }).lean(),
+      Like.find({ userId }).sort({ createdAt: 1 }).populate('restaurantId', 'name').lean(),
+      Media.find({ ownerId: userId }).sort({ createdAt: 1 }).lean(),
+      Restaurant.find({ ownerId: userId }).select('name address cuisine createdAt').lean(),
+      HelpfulVote.find({ userId }).sort({ createdAt: 1 }).lean(),
+      ReviewReport.find({ reporterId: userId }).sort({ createdAt: 1 }).lean()
+    ]);
+
+    res.json({
+      reviews: reviews.map(review => ({
+        id: review._id,
+        restaurantId: review.restaurantId,
+        rating: review.rating,
+        comment: review.comment,
+        image: review.image,
+        createdAt: review.createdAt,
+        updatedAt: review.updatedAt
+      })),
+      likes: likes.map(like => ({
+        restaurantId: like.restaurantId ? like.restaurantId._id : null,
+        restaurantName: like.restaurantId ? like.restaurantId.name : null,
+        createdAt: like.createdAt
+      })),
+      media: media.map(item => ({
+        id: item._id,
+        url: item.url,
+        mimeType: item.mimeType,
+        size: item.size,
+        createdAt: item.createdAt
+      })),
+      ownedRestaurants: restaurants.map(restaurant => ({
+        id: restaurant._id,
+        name: restaurant.name,
+        address: restaurant.address,
+        cuisine: restaurant.cuisine,
+        createdAt: restaurant.createdAt
+      })),
+      helpfulVotes: helpfulVotes.map(vote => ({
+        reviewId: vote.reviewId,
+        createdAt: vote.createdAt
+      })),
+      reviewReports: reports.map(report => ({
+        reviewId: report.reviewId,
+        reason: report.reason,
+        details: report.details,
+        status: report.status,
+        createdAt: report.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /seed - Replace all restaurants with sample data (requires admin)
+app.post('/seed', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     await Restaurant.deleteMany({});
 
@@ -379,6 +1279,7 @@ app.post('/seed', async (req, res) => {
         name: "Los Motes de San Juan",
         description: "El mote con chicharrón más clásico y crujiente de Quito.",
         address: "San Juan, Quito",
+        location: { type: "Point", coordinates: [-78.5127, -0.2139] },
         cuisine: "Típica", // Coincide con el filtro del Front
         image: "https://images.pexels.com/photos/2059151/pexels-photo-2059151.jpeg?auto=compress&cs=tinysrgb&w=600"
       },
@@ -386,6 +1287,7 @@ app.post('/seed', async (req, res) => {
         name: "Las Tripas de la Vicentina",
         description: "Tripa mishqui al carbón, con papas y salsa de maní.",
         address: "La Vicentina",
+        location: { type: "Point", coordinates: [-78.4871, -0.2166] },
         cuisine: "Callejera", // Coincide con el filtro del Front
         image: "https://upload.wikimedia.org/wikipedia/commons/thumb/e/e8/Tripa_Mishqui.jpg/800px-Tripa_Mishqui.jpg"
       },
@@ -393,6 +1295,7 @@ app.post('/seed', async (req, res) => {
         name: "Ceviches de la Rumiñahui",
         description: "Ceviche de camarón, concha y mixto con harto limón.",
         address: "Av. Rumiñahui",
+        location: { type: "Point", coordinates: [-78.4757, -0.2647] },
         cuisine: "Mariscos", // Coincide con el filtro del Front
         image: "https://images.pexels.com/photos/699953/pexels-photo-699953.jpeg?auto=compress&cs=tinysrgb&w=600"
       },
@@ -400,6 +1303,7 @@ app.post('/seed', async (req, res) => {
         name: "Helados de Paila de Pomasqui",
         description: "Helados tradicionales hechos a mano en paila de bronce.",
         address: "Pomasqui Central",
+        location: { type: "Point", coordinates: [-78.4548, -0.0494] },
         cuisine: "Postres", // Coincide con el filtro del Front
         image: "https://images.pexels.com/photos/5060281/pexels-photo-5060281.jpeg?auto=compress&cs=tinysrgb&w=600"
       }
@@ -412,6 +1316,11 @@ app.post('/seed', async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`🍽️  Core service running on port ${PORT}`);
-});
+// Los tests levantan la app en un puerto libre
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🍽️  Core service running on port ${PORT}`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,67 @@
+const Restaurant = require('../models/Restaurant');
+const { validateMongoId } = require('../utils/validators');
+
+const ROLES = ['user', 'owner', 'admin'];
+
+// Tokens emitidos antes de existir roles no traen `role`
+const getRole = (user) => (user && ROLES.includes(user.role) ? user.role : 'user');
+
+// Requiere que req.user (authenticateToken) tenga alguno de los roles indicados
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(getRole(req.user))) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// Política configurable: sin email verificado no se pueden publicar reseñas
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL === 'true';
+
+const requireVerifiedEmail = (req, res, next) => {
+  if (REQUIRE_VERIFIED_EMAIL && !req.user.emailVerified) {
+    return res.status(403).json({
+      error: 'Debes verificar tu email antes de publicar',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
+// Admins gestionan cualquier restaurante; los owners solo los que tienen reclamados.
+// Deja el restaurante cargado en req.restaurant.
+const authorizeRestaurantOwner = async (req, res, next) => {
+  try {
+    const role = getRole(req.user);
+    if (role !== 'admin' && role !== 'owner') {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    const validation = validateMongoId(req.params.id);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'ID de restaurante inválido' });
+    }
+
+    const restaurant = await Restaurant.findById(req.params.id);
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    if (role === 'owner' && restaurant.ownerId !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to manage this restaurant' });
+    }
+
+    req.restaurant = restaurant;
+    next();
+  } catch (error) {
+    console.error('Authorize restaurant error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  ROLES,
+  getRole,
+  requireRole,
+  requireVerifiedEmail,
+  authorizeRestaurantOwner
+};
@@ -0,0 +1,22 @@
+const multer = require('multer');
+const { MAX_IMAGE_SIZE_BYTES } = require('../utils/validators');
+
+// Se mantiene en memoria: el contenido se valida por magic bytes antes de guardarlo
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE_BYTES, files: 1 }
+});
+
+// Acepta un único archivo en el campo multipart `file`
+const uploadImage = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'La imagen no puede exceder 5MB' });
+    }
+    return res.status(400).json({ error: 'No se pudo procesar el archivo subido' });
+  });
+};
+
+module.exports = uploadImage;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const helpfulVoteSchema = new mongoose.Schema({
+  reviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Un voto "útil" por usuario y reseña
+helpfulVoteSchema.index({ reviewId: 1, userId: 1 }, { unique: true });
+// Votos de un usuario (exportación y borrado de cuenta)
+helpfulVoteSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('HelpfulVote', helpfulVoteSchema);
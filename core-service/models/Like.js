@@ -18,5 +18,7 @@ const likeSchema = new mongoose.Schema({
 
 // Ensure one like per user per restaurant
 likeSchema.index({ restaurantId: 1, userId: 1 }, { unique: true });
+// Likes de un usuario (perfil público)
+likeSchema.index({ userId: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Like', likeSchema);
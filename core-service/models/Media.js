@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const mediaSchema = new mongoose.Schema({
+  ownerId: {
+    type: String,
+    required: true
+  },
+  driver: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String,
+    default: null
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailUrl: {
+    type: String,
+    default: null
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+mediaSchema.index({ ownerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Media', mediaSchema);
@@ -18,10 +18,36 @@ const restaurantSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Usuario (rol owner) que reclamó la hueca; null si no tiene dueño
+  ownerId: {
+    type: String,
+    default: null
+  },
+  // GeoJSON Point: coordinates = [lng, lat]
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  imageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
+  },
+  // URL pública de la imagen (ya no se guarda base64)
   image: {
     type: String,
     required: false 
   },
+  thumbnail: {
+    type: String,
+    default: null
+  },
   rating: {
     type: Number,
     default: 0,
@@ -32,6 +58,19 @@ const restaurantSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Estadísticas de reseñas mantenidas con $inc (utils/ratings.js); rating = ratingSum / totalRatings.
+  // Las reseñas ocultas por reportes no cuentan mientras lo estén.
+  ratingSum: {
+    type: Number,
+    default: 0
+  },
+  ratingHistogram: {
+    1: { type: Number, default: 0 },
+    2: { type: Number, default: 0 },
+    3: { type: Number, default: 0 },
+    4: { type: Number, default: 0 },
+    5: { type: Number, default: 0 }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -42,4 +81,20 @@ const restaurantSchema = new mongoose.Schema({
   }
 });
 
+// Búsqueda de texto completo sobre nombre, descripción y dirección
+restaurantSchema.index(
+  { name: 'text', description: 'text', address: 'text' },
+  { weights: { name: 10, address: 3, description: 1 }, name: 'restaurant_text' }
+);
+
+// Filtros y ordenamientos de GET /restaurants (el _id desempata la paginación)
+restaurantSchema.index({ cuisine: 1 });
+restaurantSchema.index({ ownerId: 1 });
+restaurantSchema.index({ rating: -1, _id: -1 });
+restaurantSchema.index({ totalRatings: -1, _id: -1 });
+restaurantSchema.index({ createdAt: -1, _id: -1 });
+
+// Consultas de cercanía ($geoNear)
+restaurantSchema.index({ location: '2dsphere' });
+
 module.exports = mongoose.model('Restaurant', restaurantSchema);
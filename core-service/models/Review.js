@@ -24,10 +24,45 @@ const reviewSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  imageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null
+  },
+  // URL pública de la imagen (ya no se guarda base64)
   image: {
     type: String,  
     default: null
   },
+  thumbnail: {
+    type: String,
+    default: null
+  },
+  // Votos "útil" de otros usuarios (orden sort=helpful de GET /reviews/:restaurantId)
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  // Reportes pendientes desde la última moderación (utils/moderation.js)
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  // Oculta de los listados al llegar a REVIEW_REPORT_HIDE_THRESHOLD, hasta que un admin la modere
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  // Reseñas de cuentas eliminadas (modo anonymize): userId pasa a 'deleted-user'
+  // y este campo toma el _id de la propia reseña
+  anonymizedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   updatedAt: {
   type: Date,
   default: Date.now
@@ -38,4 +73,20 @@ const reviewSchema = new mongoose.Schema({
   }
 });
 
+// Una reseña por usuario y restaurante. Las anonimizadas no chocan entre sí porque cada
+// una tiene su propio anonymizedId; las reseñas sin el campo cuentan como null y también
+// quedan cubiertas. Si ya hay duplicados el índice no se crea: ver scripts/dedupe-reviews.js
+reviewSchema.index({ restaurantId: 1, userId: 1, anonymizedId: 1 }, { unique: true });
+// Listado paginado de GET /reviews/:restaurantId (un índice por orden)
+reviewSchema.index({ restaurantId: 1, createdAt: -1, _id: -1 });
+reviewSchema.index({ restaurantId: 1, rating: -1, _id: -1 });
+reviewSchema.index({ restaurantId: 1, helpfulCount: -1, _id: -1 });
+// Cola de moderación: solo reseñas con reportes pendientes
+reviewSchema.index(
+  { reportCount: -1, _id: -1 },
+  { partialFilterExpression: { reportCount: { $gt: 0 } } }
+);
+// Reseñas de un usuario (perfil público)
+reviewSchema.index({ userId: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { REPORT_REASONS } = require('../utils/validators');
+
+const reviewReportSchema = new mongoose.Schema({
+  reviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  restaurantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Restaurant',
+    required: true
+  },
+  reporterId: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // pending -> dismissed (la reseña se mantiene) | upheld (la reseña se eliminó)
+  status: {
+    type: String,
+    enum: ['pending', 'dismissed', 'upheld'],
+    default: 'pending'
+  },
+  resolvedBy: {
+    type: String,
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Un reporte por usuario y reseña
+reviewReportSchema.index({ reviewId: 1, reporterId: 1 }, { unique: true });
+// Reportes pendientes de una reseña (cola de moderación)
+reviewReportSchema.index({ reviewId: 1, status: 1, createdAt: 1 });
+// Reportes de un usuario (exportación y borrado de cuenta)
+reviewReportSchema.index({ reporterId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReviewReport', reviewReportSchema);
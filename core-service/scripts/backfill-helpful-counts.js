@@ -0,0 +1,38 @@
+/**
+ * Inicializa helpfulCount en 0 en las reseñas anteriores a los votos de utilidad.
+ * Sin el campo, sort=helpful arma los cursores con el 0 por defecto de Mongoose y
+ * { helpfulCount: 0 } no encuentra esas reseñas: desaparecen de las páginas siguientes.
+ * Las reseñas que ya recibieron un voto tienen el campo (lo crea el $inc).
+ *
+ * Uso: node scripts/backfill-helpful-counts.js [--dry-run]
+ */
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/huequitas_core_db';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const missing = { helpfulCount: { $exists: false } };
+  if (DRY_RUN) {
+    console.log(`helpfulCount: ${await Review.countDocuments(missing)} reseñas sin inicializar (dry run)`);
+  } else {
+    const result = await Review.updateMany(missing, { helpfulCount: 0 });
+    console.log(`helpfulCount: ${result.modifiedCount} inicializadas`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  });
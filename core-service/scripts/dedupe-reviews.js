@@ -0,0 +1,91 @@
+/**
+ * Deja una sola reseña por usuario y restaurante (la editada más recientemente),
+ * borra las demás con sus imágenes sin uso y recalcula el rating de los restaurantes
+ * afectados. Después completa `anonymizedId` en las reseñas de cuentas ya anonimizadas
+ * (varias comparten userId) y sincroniza los índices.
+ * El core-service avisa al arrancar si el índice único no se pudo crear.
+ *
+ * Uso: node scripts/dedupe-reviews.js [--dry-run]
+ */
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Restaurant = require('../models/Restaurant');
+const { removeMedia } = require('../utils/media');
+const { reconcileRatings } = require('../utils/ratings');
+const { removeReviewFeedback } = require('../utils/moderation');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/huequitas_core_db';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Mismo ID que usa events/handlers.js al anonimizar cuentas eliminadas
+const DELETED_USER_ID = 'deleted-user';
+
+const findDuplicates = () => Review.aggregate([
+  { $match: { anonymizedId: null, userId: { $ne: DELETED_USER_ID } } },
+  { $sort: { updatedAt: -1, createdAt: -1 } },
+  {
+    $group: {
+      _id: { restaurantId: '$restaurantId', userId: '$userId' },
+      reviews: { $push: { _id: '$_id', imageId: '$imageId' } },
+      count: { $sum: 1 }
+    }
+  },
+  { $match: { count: { $gt: 1 } } }
+]);
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const groups = await findDuplicates();
+  const duplicates = groups.reduce((total, group) => total + group.count - 1, 0);
+  console.log(`Duplicadas: ${duplicates} reseñas en ${groups.length} pares usuario/restaurante`);
+
+  if (DRY_RUN) {
+    console.log('Dry run: no se modificó nada');
+    await mongoose.disconnect();
+    return;
+  }
+
+  const restaurantIds = new Set();
+  for (const group of groups) {
+    const [kept, ...removed] = group.reviews;
+    const removedIds = removed.map(review => review._id);
+    await Review.deleteMany({ _id: { $in: removedIds } });
+    await removeReviewFeedback(removedIds);
+    restaurantIds.add(String(group._id.restaurantId));
+
+    for (const { imageId } of removed) {
+      if (!imageId || (kept.imageId && imageId.equals(kept.imageId))) continue;
+      const inUse = await Review.exists({ imageId }) || await Restaurant.exists({ imageId });
+      if (!inUse) await removeMedia(imageId);
+    }
+  }
+
+  // Reseñas anonimizadas antes del campo `anonymizedId`
+  const anonymized = await Review.updateMany(
+    { userId: DELETED_USER_ID, anonymizedId: null },
+    [{ $set: { anonymizedId: '$_id' } }]
+  );
+  console.log(`anonymizedId: ${anonymized.modifiedCount} reseñas anonimizadas`);
+
+  // Crea el índice único y quita el de { restaurantId, userId } parcial que lo precedía
+  await Review.syncIndexes();
+
+  if (restaurantIds.size > 0) {
+    const { checked, corrected } = await reconcileRatings([...restaurantIds]);
+    console.log(`Restaurants: ${checked} revisados, ${corrected} corregidos`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Dedupe error:', error);
+    process.exit(1);
+  });
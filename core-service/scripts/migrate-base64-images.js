@@ -0,0 +1,78 @@
+/**
+ * Migra las imágenes base64 guardadas inline en Review.image y Restaurant.image
+ * al subsistema de media (storage + miniatura) y deja solo imageId/URL en el documento.
+ *
+ * Uso: node scripts/migrate-base64-images.js [--dry-run]
+ */
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const Restaurant = require('../models/Restaurant');
+const Review = require('../models/Review');
+const { processImage } = require('../utils/media');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/huequitas_core_db';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Restaurantes sin dueño conocido quedan a nombre del sistema
+const SYSTEM_OWNER_ID = 'system';
+
+const decodeDataUrl = (dataUrl) => {
+  const match = /^data:[^;,]+;base64,(.+)$/s.exec(dataUrl);
+  return match ? Buffer.from(match[1], 'base64') : null;
+};
+
+const migrateCollection = async (Model, label, getOwnerId) => {
+  const stats = { migrated: 0, failed: 0 };
+  const cursor = Model.find({ image: /^data:image/ }).cursor();
+
+  for await (const doc of cursor) {
+    const buffer = decodeDataUrl(doc.image);
+    if (!buffer) {
+      console.warn(`⚠️  ${label} ${doc._id}: data URL inválida, se omite`);
+      stats.failed++;
+      continue;
+    }
+
+    if (DRY_RUN) {
+      stats.migrated++;
+      continue;
+    }
+
+    const result = await processImage(buffer, getOwnerId(doc));
+    if (!result.valid) {
+      console.warn(`⚠️  ${label} ${doc._id}: ${result.message}, se omite`);
+      stats.failed++;
+      continue;
+    }
+
+    // updateOne evita tocar updatedAt y otros campos del documento
+    await Model.updateOne(
+      { _id: doc._id },
+      { imageId: result.media._id, image: result.media.url, thumbnail: result.media.thumbnailUrl }
+    );
+    stats.migrated++;
+  }
+
+  console.log(`${label}: ${stats.migrated} migradas, ${stats.failed} con error${DRY_RUN ? ' (dry run)' : ''}`);
+  return stats;
+};
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const reviews = await migrateCollection(Review, 'Reviews', doc => doc.userId);
+  const restaurants = await migrateCollection(Restaurant, 'Restaurants', () => SYSTEM_OWNER_ID);
+
+  await mongoose.disconnect();
+  return reviews.failed + restaurants.failed === 0;
+};
+
+run()
+  .then(ok => process.exit(ok ? 0 : 1))
+  .catch(error => {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,32 @@
+/**
+ * Recalcula ratingSum, totalRatings, ratingHistogram y rating de todos los restaurantes
+ * a partir de las reseñas visibles. Necesario una vez para los restaurantes creados antes
+ * de los contadores atómicos o de que las reseñas ocultas dejaran de contar; después
+ * sirve para corregir derivas.
+ *
+ * Uso: node scripts/reconcile-ratings.js
+ */
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const { reconcileRatings } = require('../utils/ratings');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/huequitas_core_db';
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const { checked, corrected } = await reconcileRatings();
+  console.log(`Restaurants: ${checked} revisados, ${corrected} corregidos`);
+
+  await mongoose.disconnect();
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Reconcile error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,31 @@
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+/**
+ * Crea el driver de almacenamiento configurado en STORAGE_DRIVER (local | s3).
+ * Todos los drivers exponen: save(key, buffer, mimeType), remove(key), getUrl(key).
+ */
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({
+        directory: process.env.MEDIA_DIR || path.resolve(__dirname, '..', 'uploads'),
+        publicUrl: process.env.MEDIA_PUBLIC_URL || 'http://localhost:8000/api/media/files'
+      });
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        publicUrl: process.env.MEDIA_PUBLIC_URL,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+module.exports = createStorage();
@@ -0,0 +1,40 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Driver de almacenamiento en disco local.
+ * Los archivos se sirven con express.static desde `publicUrl`.
+ * @param {Object} options
+ * @param {string} options.directory - Carpeta donde se guardan los archivos
+ * @param {string} options.publicUrl - URL base pública de los archivos
+ */
+const createLocalStorage = ({ directory, publicUrl }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    directory,
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    getUrl(key) {
+      return `${publicUrl.replace(/\/$/, '')}/${key}`;
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,55 @@
+/**
+ * Driver de almacenamiento compatible con S3 (AWS, MinIO, R2...).
+ * Requiere el paquete opcional @aws-sdk/client-s3.
+ * @param {Object} options
+ * @param {string} options.bucket - Bucket de destino
+ * @param {string} options.region - Región del bucket
+ * @param {string} [options.endpoint] - Endpoint personalizado para servicios compatibles
+ * @param {string} [options.publicUrl] - URL base pública (CDN o bucket público)
+ * @param {boolean} [options.forcePathStyle] - Necesario para MinIO
+ */
+const createS3Storage = ({ bucket, region, endpoint, publicUrl, forcePathStyle }) => {
+  let sdk;
+  try {
+    sdk = require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('STORAGE_DRIVER=s3 requires the @aws-sdk/client-s3 package');
+  }
+
+  if (!bucket) {
+    throw new Error('STORAGE_DRIVER=s3 requires S3_BUCKET');
+  }
+
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = sdk;
+  const client = new S3Client({ region, endpoint, forcePathStyle });
+
+  const baseUrl = publicUrl
+    ? publicUrl.replace(/\/$/, '')
+    : endpoint
+      ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`;
+
+  return {
+    name: 's3',
+
+    async save(key, buffer, mimeType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: mimeType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getUrl(key) {
+      return `${baseUrl}/${key}`;
+    }
+  };
+};
+
+module.exports = createS3Storage;
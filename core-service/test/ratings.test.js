@@ -0,0 +1,143 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// Necesita un MongoDB desechable: la base de datos se borra al terminar
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+const STARS = [1, 2, 3, 4, 5];
+
+// Firma las cabeceras igual que el gateway; el secreto se lee al cargar el módulo
+process.env.GATEWAY_IDENTITY_SECRET = 'test-identity-secret';
+const { signIdentityHeaders } = require('huequitas-shared/identity');
+
+const identityHeaders = (userId) => {
+  const headers = { 'Content-Type': 'application/json' };
+  signIdentityHeaders(headers, {
+    userId,
+    email: `${userId}@test.local`,
+    name: `User ${userId.slice(-4)}`,
+    role: 'user',
+    emailVerified: true,
+    sid: `sid-${userId}`,
+    exp: Math.floor(Date.now() / 1000) + 3600
+  });
+  return headers;
+};
+
+describe('restaurant rating stats under concurrent review writes', {
+  skip: !MONGODB_TEST_URI && 'MONGODB_TEST_URI not set'
+}, () => {
+  let mongoose;
+  let Restaurant;
+  let Review;
+  let reconcileRatings;
+  let server;
+  let baseUrl;
+
+  const request = (method, path, userId, body) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: identityHeaders(userId),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  before(async () => {
+    process.env.MONGODB_URI = MONGODB_TEST_URI;
+    process.env.REQUIRE_VERIFIED_EMAIL = 'false';
+    // Sin auth-service las reseñas usan el nombre del token
+    process.env.AUTH_SERVICE_URL = 'http://127.0.0.1:9';
+
+    const app = require('../index');
+    mongoose = require('mongoose');
+    Restaurant = require('../models/Restaurant');
+    Review = require('../models/Review');
+    ({ reconcileRatings } = require('../utils/ratings'));
+
+    await mongoose.connection.asPromise();
+    await mongoose.connection.db.dropDatabase();
+    // El índice único { restaurantId, userId } tiene que existir antes de las escrituras
+    await Promise.all([Restaurant.init(), Review.init()]);
+
+    await new Promise(resolve => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    if (mongoose) {
+      await mongoose.connection.db.dropDatabase();
+      await mongoose.disconnect();
+    }
+  });
+
+  test('counters match a full recompute after parallel POST/PUT/DELETE', async () => {
+    const restaurant = await Restaurant.create({ name: 'Hueca de prueba' });
+    const restaurantId = String(restaurant._id);
+    const users = Array.from({ length: 30 }, () => new mongoose.Types.ObjectId().toHexString());
+
+    // Cada usuario publica una vez; los 5 primeros mandan además un duplicado simultáneo
+    const posts = await Promise.all([
+      ...users.map((userId, i) => request('POST', '/reviews', userId, { restaurantId, rating: (i % 5) + 1 })),
+      ...users.slice(0, 5).map(userId => request('POST', '/reviews', userId, { restaurantId, rating: 5 }))
+    ]);
+    const created = posts.filter(response => response.status === 201);
+    assert.strictEqual(created.length, users.length, 'una reseña por usuario');
+    assert.ok(posts.every(response => response.status === 201 || response.status === 409));
+
+    const reviewIds = new Map();
+    for (const review of await Review.find({ restaurantId }).select('userId')) {
+      reviewIds.set(review.userId, String(review._id));
+    }
+
+    const edit = (i, rating) => request('PUT', `/reviews/${reviewIds.get(users[i])}`, users[i], { rating });
+    const remove = (i) => request('DELETE', `/reviews/${reviewIds.get(users[i])}`, users[i]);
+
+    const statuses = (responses) => responses.map(response => response.status);
+    const pairs = (responses) => responses.reduce((result, response, i) => {
+      if (i % 2 === 0) result.push([response.status]);
+      else result[result.length - 1].push(response.status);
+      return result;
+    }, []);
+
+    const [edits, removals, doubleRemovals, editRemovals] = await Promise.all([
+      // Dos ediciones simultáneas de la misma reseña
+      Promise.all([0, 1, 2, 3, 4, 5, 6, 7, 8, 9].flatMap(i => [edit(i, 1), edit(i, 5)])),
+      // Borrados simples y borrados dobles simultáneos
+      Promise.all([10, 11, 12, 13, 14].map(remove)),
+      Promise.all([15, 16, 17, 18, 19].flatMap(i => [remove(i), remove(i)])),
+      // Edición y borrado de la misma reseña a la vez
+      Promise.all([20, 21, 22, 23, 24].flatMap(i => [edit(i, 3), remove(i)]))
+    ]);
+
+    assert.ok(statuses(edits).every(status => status === 200), `ediciones: ${statuses(edits)}`);
+    assert.ok(statuses(removals).every(status => status === 200), `borrados: ${statuses(removals)}`);
+    pairs(doubleRemovals).forEach(pair => {
+      assert.ok(pair.every(status => status === 200 || status === 404), `borrado doble: ${pair}`);
+      assert.ok(pair.includes(200), `borrado doble: ${pair}`);
+    });
+    // La edición puede llegar después del borrado: 404, nunca 500
+    pairs(editRemovals).forEach(([editStatus, removeStatus]) => {
+      assert.ok(editStatus === 200 || editStatus === 404, `edición concurrente: ${editStatus}`);
+      assert.strictEqual(removeStatus, 200);
+    });
+
+    const stats = await Restaurant.findById(restaurantId).lean();
+    const reviews = await Review.find({ restaurantId, hidden: { $ne: true } }).lean();
+    const expectedSum = reviews.reduce((sum, review) => sum + review.rating, 0);
+
+    assert.strictEqual(stats.totalRatings, reviews.length);
+    assert.strictEqual(stats.ratingSum, expectedSum);
+    STARS.forEach(star => {
+      assert.strictEqual(
+        stats.ratingHistogram[star],
+        reviews.filter(review => review.rating === star).length,
+        `ratingHistogram.${star}`
+      );
+    });
+    assert.strictEqual(stats.rating, Math.round((expectedSum / reviews.length) * 100) / 100);
+
+    // El recálculo completo no encuentra nada que corregir
+    const result = await reconcileRatings([restaurantId]);
+    assert.deepStrictEqual(result, { checked: 1, corrected: 0 });
+  });
+});
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('../storage');
+const Media = require('../models/Media');
+const { validateImageFile, validateMongoId } = require('./validators');
+
+const THUMBNAIL_SIZE = 320;
+
+// Clave única agrupada por año/mes: images/2026/01/<hex>.jpg
+const buildKey = (folder, extension) => {
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  const id = crypto.randomBytes(16).toString('hex');
+  return `${folder}/${now.getUTCFullYear()}/${month}/${id}.${extension}`;
+};
+
+/**
+ * Valida una imagen, genera su miniatura y guarda ambas en el storage configurado
+ * @param {Buffer} buffer - Contenido binario de la imagen
+ * @param {string} ownerId - Usuario que sube la imagen
+ * @returns {Promise<{ valid: boolean, message?: string, media?: Object }>}
+ */
+const processImage = async (buffer, ownerId) => {
+  const validation = validateImageFile(buffer);
+  if (!validation.valid) return validation;
+
+  let metadata;
+  let thumbnail;
+  try {
+    metadata = await sharp(buffer).metadata();
+    thumbnail = await sharp(buffer)
+      .rotate()
+      .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    return { valid: false, message: 'La imagen está dañada o no se puede procesar' };
+  }
+
+  const { mimeType, extension } = validation.type;
+  const key = buildKey('images', extension);
+  const thumbnailKey = buildKey('thumbnails', 'jpg');
+
+  await storage.save(key, buffer, mimeType);
+  await storage.save(thumbnailKey, thumbnail, 'image/jpeg');
+
+  const media = new Media({
+    ownerId,
+    driver: storage.name,
+    key,
+    thumbnailKey,
+    url: storage.getUrl(key),
+    thumbnailUrl: storage.getUrl(thumbnailKey),
+    mimeType,
+    size: buffer.length,
+    width: metadata.width || null,
+    height: metadata.height || null
+  });
+  await media.save();
+
+  return { valid: true, media };
+};
+
+/**
+ * Busca un media subido por el usuario para asociarlo a un documento
+ * @param {string} mediaId - ID del media
+ * @param {string} ownerId - Usuario que debe ser dueño del media
+ * @returns {Promise<{ valid: boolean, message?: string, media?: Object }>}
+ */
+const resolveMedia = async (mediaId, ownerId) => {
+  if (!validateMongoId(String(mediaId)).valid) {
+    return { valid: false, message: 'ID de imagen inválido' };
+  }
+
+  const media = await Media.findById(mediaId);
+  if (!media || media.ownerId !== ownerId) {
+    return { valid: false, message: 'La imagen no existe o no te pertenece' };
+  }
+
+  return { valid: true, media };
+};
+
+/**
+ * Elimina un media y sus archivos. No falla si ya no existe.
+ * @param {string} mediaId - ID del media
+ */
+const removeMedia = async (mediaId) => {
+  if (!mediaId) return;
+
+  const media = await Media.findByIdAndDelete(mediaId);
+  if (!media) return;
+
+  if (media.driver !== storage.name) {
+    console.warn(`Media ${media._id} stored with driver "${media.driver}", files not removed`);
+    return;
+  }
+
+  try {
+    await storage.remove(media.key);
+    if (media.thumbnailKey) await storage.remove(media.thumbnailKey);
+  } catch (error) {
+    console.error(`Error removing files for media ${media._id}:`, error);
+  }
+};
+
+module.exports = {
+  processImage,
+  resolveMedia,
+  removeMedia,
+  THUMBNAIL_SIZE
+};
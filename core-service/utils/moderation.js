@@ -0,0 +1,83 @@
+const Review = require('../models/Review');
+const HelpfulVote = require('../models/HelpfulVote');
+const ReviewReport = require('../models/ReviewReport');
+const { applyRatingChange } = require('./ratings');
+
+// Reportes pendientes con los que una reseña se oculta hasta que la modere un admin
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REVIEW_REPORT_HIDE_THRESHOLD) || 3;
+
+/**
+ * Suma un reporte pendiente a la reseña y la oculta al llegar al umbral
+ * (una reseña oculta sale de las estadísticas de rating hasta que se apruebe)
+ * @param {string} reviewId - ID de la reseña reportada
+ * @returns {Promise<{ reportCount: number, hidden: boolean }|null>} null si la reseña ya no existe
+ */
+const registerReport = async (reviewId) => {
+  const review = await Review.findOneAndUpdate(
+    { _id: reviewId },
+    { $inc: { reportCount: 1 } },
+    { new: true }
+  ).select('reportCount hidden');
+  if (!review) return null;
+
+  // Condición en el filtro: con reportes simultáneos solo uno la oculta y descuenta
+  // su rating de las estadísticas del restaurante
+  if (!review.hidden && review.reportCount >= REPORT_HIDE_THRESHOLD) {
+    const hidden = await Review.findOneAndUpdate(
+      { _id: reviewId, hidden: { $ne: true } },
+      { hidden: true }
+    ).select('restaurantId rating');
+    if (hidden) await applyRatingChange(hidden.restaurantId, { removed: hidden.rating });
+    return { reportCount: review.reportCount, hidden: true };
+  }
+  return { reportCount: review.reportCount, hidden: review.hidden };
+};
+
+/**
+ * Cierra los reportes pendientes de una reseña
+ * @param {string} reviewId - ID de la reseña
+ * @param {'dismissed'|'upheld'} status - dismissed: se mantiene, upheld: se eliminó
+ * @param {string} moderatorId - userId del admin que modera
+ */
+const resolveReports = async (reviewId, status, moderatorId) => {
+  await ReviewReport.updateMany(
+    { reviewId, status: 'pending' },
+    { status, resolvedBy: moderatorId, resolvedAt: new Date() }
+  );
+};
+
+/**
+ * Borra los votos y reportes pendientes de reseñas eliminadas.
+ * Los reportes ya resueltos se conservan como historial de moderación.
+ * @param {Array} reviewIds - IDs de las reseñas eliminadas
+ */
+const removeReviewFeedback = async (reviewIds) => {
+  if (!reviewIds || reviewIds.length === 0) return;
+  await HelpfulVote.deleteMany({ reviewId: { $in: reviewIds } });
+  await ReviewReport.deleteMany({ reviewId: { $in: reviewIds }, status: 'pending' });
+};
+
+/**
+ * Borra los votos y reportes emitidos por un usuario (cuenta eliminada).
+ * Los votos se descuentan de helpfulCount; reportCount no se toca para que la
+ * reseña siga en la cola de moderación.
+ * @param {string} userId - ID del usuario
+ */
+const removeUserFeedback = async (userId) => {
+  const votes = await HelpfulVote.find({ userId }).select('reviewId');
+  for (const vote of votes) {
+    const deleted = await HelpfulVote.findByIdAndDelete(vote._id);
+    if (deleted) {
+      await Review.updateOne({ _id: deleted.reviewId }, { $inc: { helpfulCount: -1 } });
+    }
+  }
+  await ReviewReport.deleteMany({ reporterId: userId });
+};
+
+module.exports = {
+  registerReport,
+  resolveReports,
+  removeReviewFeedback,
+  removeUserFeedback,
+  REPORT_HIDE_THRESHOLD
+};
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Normaliza el parámetro `limit` de la query dentro de [1, max]
+ * @param {string|number} limit - Valor recibido en la query
+ * @param {number} fallback - Tamaño por defecto si no se envía
+ * @param {number} max - Tamaño máximo permitido
+ * @returns {number}
+ */
+const parseLimit = (limit, fallback = DEFAULT_PAGE_SIZE, max = MAX_PAGE_SIZE) => {
+  const parsed = parseInt(limit, 10);
+  if (isNaN(parsed) || parsed < 1) return fallback;
+  return Math.min(parsed, max);
+};
+
+/**
+ * Codifica la posición de un documento como cursor opaco (base64url)
+ * @param {Object} doc - Último documento de la página
+ * @param {string} field - Campo por el que se ordena
+ * @returns {string}
+ */
+const encodeCursor = (doc, field) => {
+  const value = doc[field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: String(doc._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodifica un cursor generado por encodeCursor
+ * @param {string} cursor - Cursor recibido en la query
+ * @returns {{ value: *, id: mongoose.Types.ObjectId }|null} null si el cursor es inválido
+ */
+const decodeCursor = (cursor) => {
+  if (!cursor || typeof cursor !== 'string') return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+
+    const value = payload.d ? new Date(payload.v) : payload.v;
+    if (payload.d && isNaN(value.getTime())) return null;
+
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Construye el filtro keyset para continuar después del cursor.
+ * Se desempata por _id para que el orden sea estable con valores repetidos.
+ * @param {string} field - Campo por el que se ordena
+ * @param {number} direction - 1 ascendente, -1 descendente
+ * @param {{ value: *, id: mongoose.Types.ObjectId }} cursor - Cursor decodificado
+ * @returns {Object} Filtro de MongoDB
+ */
+const buildCursorFilter = (field, direction, cursor) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: cursor.id } }
+    ]
+  };
+};
+
+/**
+ * Recorta los resultados a `limit` y calcula el siguiente cursor.
+ * La consulta debe pedir `limit + 1` documentos para saber si hay más.
+ * @param {Array} docs - Documentos obtenidos (hasta limit + 1)
+ * @param {number} limit - Tamaño de página
+ * @param {string} field - Campo por el que se ordena
+ * @returns {{ items: Array, nextCursor: string|null }}
+ */
+const paginate = (docs, limit, field) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const nextCursor = hasMore ? encodeCursor(items[items.length - 1], field) : null;
+  return { items, nextCursor };
+};
+
+module.exports = {
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  paginate,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+};
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const Restaurant = require('../models/Restaurant');
+const Review = require('../models/Review');
+
+const STARS = [1, 2, 3, 4, 5];
+
+// rating se deriva de los contadores en el propio documento (pipeline update),
+// así nunca queda desfasado respecto de ratingSum/totalRatings
+const AVERAGE_PIPELINE = [{
+  $set: {
+    rating: {
+      $cond: [
+        { $gt: ['$totalRatings', 0] },
+        { $round: [{ $divide: ['$ratingSum', '$totalRatings'] }, 2] },
+        0
+      ]
+    }
+  }
+}];
+
+/**
+ * Aplica atómicamente el cambio de una reseña a las estadísticas del restaurante
+ * @param {string} restaurantId - ID del restaurante
+ * @param {Object} change - { added?: number, removed?: number } ratings que entran/salen
+ */
+const applyRatingChange = async (restaurantId, { added, removed } = {}) => {
+  const inc = {};
+  const bump = (field, delta) => {
+    inc[field] = (inc[field] || 0) + delta;
+  };
+
+  if (added) {
+    bump('ratingSum', added);
+    bump('totalRatings', 1);
+    bump(`ratingHistogram.${added}`, 1);
+  }
+  if (removed) {
+    bump('ratingSum', -removed);
+    bump('totalRatings', -1);
+    bump(`ratingHistogram.${removed}`, -1);
+  }
+
+  // Editar una reseña sin cambiar las estrellas no modifica nada
+  Object.keys(inc).forEach(field => {
+    if (inc[field] === 0) delete inc[field];
+  });
+  if (Object.keys(inc).length === 0) return;
+
+  // Un solo update (pipeline): los contadores y el promedio cambian juntos, así
+  // ningún lector ve un promedio que no corresponde a los contadores
+  const counters = {};
+  Object.entries(inc).forEach(([field, delta]) => {
+    counters[field] = { $add: [{ $ifNull: [`$${field}`, 0] }, delta] };
+  });
+  await Restaurant.updateOne({ _id: restaurantId }, [{ $set: counters }, ...AVERAGE_PIPELINE]);
+};
+
+/**
+ * Recalcula desde las reseñas visibles las estadísticas de los restaurantes indicados
+ * (o de todos). Corrige derivas por fallos parciales o datos anteriores a los contadores.
+ * Una reseña escrita mientras corre puede quedar fuera: conviene ejecutarlo con poco tráfico.
+ * @param {string[]} [restaurantIds] - Sin este parámetro se reconcilian todos
+ * @returns {Promise<{ checked: number, corrected: number }>}
+ */
+const reconcileRatings = async (restaurantIds) => {
+  const filter = restaurantIds
+    ? { _id: { $in: restaurantIds.map(id => new mongoose.Types.ObjectId(String(id))) } }
+    : {};
+
+  // Las reseñas ocultas por reportes no cuentan hasta que un admin las apruebe
+  const grouped = await Review.aggregate([
+    { $match: restaurantIds ? { restaurantId: filter._id, hidden: { $ne: true } } : { hidden: { $ne: true } } },
+    { $group: { _id: { restaurantId: '$restaurantId', rating: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  // restaurantId -> { ratingSum, totalRatings, ratingHistogram }
+  const stats = new Map();
+  grouped.forEach(({ _id, count }) => {
+    const key = String(_id.restaurantId);
+    if (!stats.has(key)) {
+      stats.set(key, {
+        ratingSum: 0,
+        totalRatings: 0,
+        ratingHistogram: Object.fromEntries(STARS.map(star => [star, 0]))
+      });
+    }
+    const entry = stats.get(key);
+    entry.ratingSum += _id.rating * count;
+    entry.totalRatings += count;
+    if (STARS.includes(_id.rating)) entry.ratingHistogram[_id.rating] += count;
+  });
+
+  let checked = 0;
+  let corrected = 0;
+  const cursor = Restaurant.find(filter).select('ratingSum totalRatings ratingHistogram').cursor();
+
+  for await (const restaurant of cursor) {
+    checked++;
+    const expected = stats.get(String(restaurant._id)) || {
+      ratingSum: 0,
+      totalRatings: 0,
+      ratingHistogram: Object.fromEntries(STARS.map(star => [star, 0]))
+    };
+
+    const current = restaurant.ratingHistogram || {};
+    const matches = restaurant.ratingSum === expected.ratingSum &&
+      restaurant.totalRatings === expected.totalRatings &&
+      STARS.every(star => (current[star] || 0) === expected.ratingHistogram[star]);
+
+    if (!matches) {
+      await Restaurant.updateOne({ _id: restaurant._id }, expected);
+      corrected++;
+    }
+  }
+
+  // El promedio se recalcula con la misma fórmula que applyRatingChange
+  await Restaurant.updateMany(filter, AVERAGE_PIPELINE);
+
+  return { checked, corrected };
+};
+
+/**
+ * Resumen de calificaciones de un restaurante a partir de sus contadores
+ * @param {Object} restaurant - Documento con rating, totalRatings y ratingHistogram
+ * @returns {{ average: number, total: number, histogram: Object }} histogram: estrellas -> cantidad
+ */
+const getRatingSummary = (restaurant) => {
+  const histogram = restaurant.ratingHistogram || {};
+  return {
+    average: restaurant.rating || 0,
+    total: restaurant.totalRatings || 0,
+    histogram: Object.fromEntries(STARS.map(star => [star, histogram[star] || 0]))
+  };
+};
+
+module.exports = {
+  applyRatingChange,
+  reconcileRatings,
+  getRatingSummary,
+  STARS
+};
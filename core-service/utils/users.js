@@ -0,0 +1,71 @@
+// Perfiles públicos de auth-service (fuente de verdad de nombre, avatar y bio)
+const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://localhost:3001';
+const PROFILE_TIMEOUT_MS = 3000;
+// Los eventos user-updated refrescan la caché al momento; el TTL solo acota
+// cuánto dura un nombre viejo si se pierde un evento
+const NAME_CACHE_TTL_MS = parseInt(process.env.USER_NAME_CACHE_TTL_MS) || 5 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 10000;
+
+const nameCache = new Map(); // userId -> { name, expiresAt }
+
+/**
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object|null>} Perfil público o null si no existe.
+ *   Lanza un error si auth-service no responde.
+ */
+const fetchUserProfile = async (userId) => {
+  const response = await fetch(`${AUTH_SERVICE_URL}/users/${encodeURIComponent(userId)}`, {
+    signal: AbortSignal.timeout(PROFILE_TIMEOUT_MS)
+  });
+
+  if (response.status === 404 || response.status === 400) return null;
+  if (!response.ok) {
+    throw new Error(`Auth service responded ${response.status}`);
+  }
+
+  const { user } = await response.json();
+  return user;
+};
+
+/**
+ * Guarda el nombre vigente de un usuario (perfil de auth-service o evento user-updated)
+ * @param {string} userId - ID del usuario
+ * @param {string} name - Nombre actual
+ */
+const rememberUserName = (userId, name) => {
+  if (nameCache.size >= MAX_CACHE_ENTRIES) nameCache.clear();
+  nameCache.set(String(userId), { name, expiresAt: Date.now() + NAME_CACHE_TTL_MS });
+};
+
+const forgetUserName = (userId) => {
+  nameCache.delete(String(userId));
+};
+
+/**
+ * Nombre actual del autor para guardarlo en una reseña. El del token puede ser
+ * anterior a un cambio de perfil, así que solo se usa si auth-service no responde.
+ * @param {Object} user - req.user ({ userId, name })
+ * @returns {Promise<string>}
+ */
+const resolveUserName = async (user) => {
+  const cached = nameCache.get(String(user.userId));
+  if (cached && cached.expiresAt > Date.now()) return cached.name;
+
+  try {
+    const profile = await fetchUserProfile(user.userId);
+    if (profile && profile.name) {
+      rememberUserName(user.userId, profile.name);
+      return profile.name;
+    }
+  } catch (error) {
+    console.error('Profile fetch error:', error.message);
+  }
+  return user.name;
+};
+
+module.exports = {
+  fetchUserProfile,
+  resolveUserName,
+  rememberUserName,
+  forgetUserName
+};
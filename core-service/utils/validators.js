@@ -1,6 +1,8 @@
 const MAX_COMMENT_LENGTH = 250;
 const MAX_IMAGE_SIZE_BYTES = 5 * 1024 * 1024;
 const ALLOWED_IMAGE_FORMATS = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
+const REPORT_REASONS = ['spam', 'offensive', 'off-topic', 'fake', 'other'];
+const MAX_REPORT_DETAILS_LENGTH = 500;
 
 // Rating validation
 const validateRating = (rating) => {
@@ -25,40 +27,69 @@ const validateReviewComment = (comment) => {
   return { valid: true };
 };
 
-// Image file validation (base64)
-const validateImageFile = (base64String) => {
-  if (!base64String) {
-    return { valid: true }; // Image is optional
+// Review report validation: `details` es obligatorio con reason = 'other'
+const validateReport = (reason, details) => {
+  if (!REPORT_REASONS.includes(reason)) {
+    return { valid: false, message: `El motivo debe ser uno de: ${REPORT_REASONS.join(', ')}` };
   }
-  
-  // Check if it's a valid base64 string
-  if (typeof base64String !== 'string' || !base64String.includes('data:image')) {
+  if (details !== undefined && details !== null && typeof details !== 'string') {
+    return { valid: false, message: 'El detalle debe ser texto' };
+  }
+  if (details && details.trim().length > MAX_REPORT_DETAILS_LENGTH) {
+    return { valid: false, message: `El detalle no puede exceder ${MAX_REPORT_DETAILS_LENGTH} caracteres` };
+  }
+  if (reason === 'other' && (!details || !details.trim())) {
+    return { valid: false, message: 'Describe el motivo del reporte' };
+  }
+  return { valid: true };
+};
+
+// Firmas (magic bytes) de los formatos de imagen permitidos
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mimeType: 'image/png', extension: 'png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimeType: 'image/gif', extension: 'gif', bytes: [0x47, 0x49, 0x46, 0x38, 0x37, 0x61] }, // GIF87a
+  { mimeType: 'image/gif', extension: 'gif', bytes: [0x47, 0x49, 0x46, 0x38, 0x39, 0x61] }  // GIF89a
+];
+
+// Detecta el tipo real de imagen a partir de sus primeros bytes
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) return null;
+  return IMAGE_SIGNATURES.find(sig =>
+    buffer.length >= sig.bytes.length && sig.bytes.every((byte, i) => buffer[i] === byte)
+  ) || null;
+};
+
+// Image file validation (contenido binario, no el mime declarado por el cliente)
+// Si es válida devuelve también el tipo detectado en `type`
+const validateImageFile = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { valid: false, message: 'La imagen es requerida' };
+  }
+
+  if (buffer.length > MAX_IMAGE_SIZE_BYTES) {
     return { 
       valid: false, 
-      message: 'La imagen no tiene un formato válido' 
+      message: `La imagen no puede exceder 5MB (tamaño actual: ${(buffer.length / 1024 / 1024).toFixed(2)}MB)` 
     };
   }
-  
-  // Extract mime type
-  const mimeMatch = base64String.match(/data:([a-zA-Z0-9]+\/[a-zA-Z0-9-.+]+)/);
-  const mimeType = mimeMatch ? mimeMatch[1] : null;
-  
-  if (!mimeType || !ALLOWED_IMAGE_FORMATS.includes(mimeType)) {
+
+  const type = detectImageType(buffer);
+  if (!type || !ALLOWED_IMAGE_FORMATS.includes(type.mimeType)) {
     return { 
       valid: false, 
       message: 'Solo se permiten imágenes JPG, PNG o GIF' 
     };
   }
-  
-  // Check size (base64 is ~33% larger than binary)
-  const sizeInBytes = (base64String.length * 3) / 4;
-  if (sizeInBytes > MAX_IMAGE_SIZE_BYTES) {
-    return { 
-      valid: false, 
-      message: `La imagen no puede exceder 5MB (tamaño actual: ${(sizeInBytes / 1024 / 1024).toFixed(2)}MB)` 
-    };
+
+  return { valid: true, type };
+};
+
+// Image URL validation (imágenes externas, p. ej. las del seed)
+const validateImageUrl = (url) => {
+  if (typeof url !== 'string' || url.length > 2048 || !/^https?:\/\/\S+$/i.test(url)) {
+    return { valid: false, message: 'La imagen debe ser una URL http(s) válida o subirse a /media' };
   }
-  
   return { valid: true };
 };
 
@@ -70,6 +101,52 @@ const validateMongoId = (id) => {
   return { valid: true };
 };
 
+// Coordinates validation (WGS84, grados decimales)
+const validateCoordinates = (lat, lng) => {
+  const latNum = Number(lat);
+  const lngNum = Number(lng);
+  if (lat === undefined || lat === null || lat === '' || isNaN(latNum)) {
+    return { valid: false, message: 'La latitud es requerida y debe ser numérica' };
+  }
+  if (lng === undefined || lng === null || lng === '' || isNaN(lngNum)) {
+    return { valid: false, message: 'La longitud es requerida y debe ser numérica' };
+  }
+  if (latNum < -90 || latNum > 90) {
+    return { valid: false, message: 'La latitud debe estar entre -90 y 90' };
+  }
+  if (lngNum < -180 || lngNum > 180) {
+    return { valid: false, message: 'La longitud debe estar entre -180 y 180' };
+  }
+  return { valid: true };
+};
+
+// Location validation: acepta { lat, lng } o un GeoJSON Point
+// Si es válida devuelve también el GeoJSON normalizado en `location`
+const validateLocation = (location) => {
+  if (!location || typeof location !== 'object') {
+    return { valid: false, message: 'La ubicación debe incluir lat y lng' };
+  }
+
+  let lat;
+  let lng;
+  if (location.type !== undefined) {
+    if (location.type !== 'Point' || !Array.isArray(location.coordinates) || location.coordinates.length !== 2) {
+      return { valid: false, message: 'La ubicación debe ser un GeoJSON Point con [lng, lat]' };
+    }
+    [lng, lat] = location.coordinates;
+  } else {
+    ({ lat, lng } = location);
+  }
+
+  const validation = validateCoordinates(lat, lng);
+  if (!validation.valid) return validation;
+
+  return {
+    valid: true,
+    location: { type: 'Point', coordinates: [Number(lng), Number(lat)] }
+  };
+};
+
 // Required field validation
 const validateRequired = (value, fieldName) => {
   if (!value || (typeof value === 'string' && !value.trim())) {
@@ -81,10 +158,17 @@ const validateRequired = (value, fieldName) => {
 module.exports = {
   validateRating,
   validateReviewComment,
+  validateReport,
   validateImageFile,
+  detectImageType,
+  validateImageUrl,
   validateMongoId,
+  validateCoordinates,
+  validateLocation,
   validateRequired,
   MAX_COMMENT_LENGTH,
   MAX_IMAGE_SIZE_BYTES,
-  ALLOWED_IMAGE_FORMATS
+  ALLOWED_IMAGE_FORMATS,
+  REPORT_REASONS,
+  MAX_REPORT_DETAILS_LENGTH
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+// Política de autenticación por ruta del gateway:
+//   public   -> no se verifica el token
+//   optional -> si hay token se verifica y se propaga la identidad
+//   required -> sin token válido el gateway responde 401/403
+// La primera regla que coincide gana; sin coincidencias se usa DEFAULT_AUTH_POLICY.
+// Los servicios siguen aplicando sus propias reglas (roles, dueños, etc.).
+const DEFAULT_AUTH_POLICY = 'optional';
+
+const ROUTE_POLICIES = [
+  // Auth Service
+  { path: /^\/auth\/(register|login|login\/2fa|refresh|verify|verify-email|resend-verification|password-reset-request|verify-reset-code|password-reset)\/?$/, auth: 'public' },
+  { path: /^\/auth\/oauth\//, auth: 'public' },
+  { method: 'GET', path: /^\/auth\/users\/[^/]+\/?$/, auth: 'public' },
+  { path: /^\/auth\/(me|2fa|logout|logout-all|sessions|users)(\/|$)/, auth: 'required' },
+
+  // Core Service
+  { method: 'GET', path: /^\/api\/media\//, auth: 'public' },
+  { method: 'GET', path: /^\/api\/restaurants\/nearby\/?$/, auth: 'public' },
+  { method: 'GET', path: /^\/api\/users\/[^/]+\/?$/, auth: 'public' },
+  { method: 'GET', path: /^\/api\/reviews\/mine\/?$/, auth: 'required' },
+  { method: 'GET', path: /^\/api\/(restaurants|reviews)(\/|$)/, auth: 'optional' },
+  { method: 'GET', path: /^\/api\/likes\//, auth: 'required' },
+  { path: /^\/api\//, auth: 'required' },
+
+  // Chat Service
+  { method: 'GET', path: /^\/chat\/(rooms|messages)(\/|$)/, auth: 'optional' },
+  { path: /^\/chat\/(rooms|messages|unread-counts|me)(\/|$)/, auth: 'required' },
+
+  { path: /^\/health\/?$/, auth: 'public' }
+];
+
+/**
+ * Política de autenticación de una petición
+ * @param {string} method - Método HTTP
+ * @param {string} path - Ruta completa (con prefijo /auth, /api o /chat)
+ * @returns {'public'|'optional'|'required'}
+ */
+const getAuthPolicy = (method, path) => {
+  const rule = ROUTE_POLICIES.find(r => (!r.method || r.method === method) && r.path.test(path));
+  return rule ? rule.auth : DEFAULT_AUTH_POLICY;
+};
+
+module.exports = { ROUTE_POLICIES, DEFAULT_AUTH_POLICY, getAuthPolicy };
@@ -1,24 +1,76 @@
 const express = require('express');
 const proxy = require('express-http-proxy');
+const { createProxyMiddleware } = require('http-proxy-middleware');
+const resolveIdentity = require('./middleware/identity');
 const cors = require('cors');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// Solo se confía en X-Forwarded-For si hay otro proxy delante (TRUST_PROXY)
+app.set('trust proxy', process.env.TRUST_PROXY || false);
+
 // CORS configuration
 app.use(cors({
   origin: 'http://localhost:5173',
   credentials: true
 }));
 
-app.use(express.json({ limit: '100mb' }));
-app.use(express.urlencoded({ limit: '100mb', extended: true }));
-
 // Get service URLs from environment variables
 const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://localhost:3001';
 const CORE_SERVICE_URL = process.env.CORE_SERVICE_URL || 'http://localhost:3002';
 const CHAT_SERVICE_URL = process.env.CHAT_SERVICE_URL || 'http://localhost:3003';
 
+const removeIdentityHeaders = (proxyReq) => {
+  proxyReq.getHeaderNames()
+    .filter(header => header.startsWith('x-user-'))
+    .forEach(header => proxyReq.removeHeader(header));
+};
+
+// Route: /chat/socket.io/* -> Chat Service Socket.IO (long-polling + WebSocket upgrades)
+// Frontend: io('http://localhost:8000', { path: '/chat/socket.io' })
+// Va antes de los body parsers para reenviar el cuerpo de los POST de polling intacto.
+const chatSocketProxy = createProxyMiddleware({
+  target: CHAT_SERVICE_URL,
+  changeOrigin: true,
+  ws: true,
+  pathFilter: '/chat/socket.io',
+  pathRewrite: { '^/chat': '' },
+  on: {
+    // Los sockets se autentican en chat-service; nunca se reenvía identidad del cliente
+    proxyReq: (proxyReq) => removeIdentityHeaders(proxyReq),
+    proxyReqWs: (proxyReq) => removeIdentityHeaders(proxyReq),
+    // La política CORS es la del gateway: se descartan las cabeceras de chat-service
+    proxyRes: (proxyRes) => {
+      Object.keys(proxyRes.headers)
+        .filter(header => header.startsWith('access-control-'))
+        .forEach(header => delete proxyRes.headers[header]);
+    },
+    error: (err, req, res) => {
+      console.error('Chat socket proxy error:', err.message);
+      // En upgrades `res` es el socket TCP
+      if (res.writeHead && !res.headersSent) {
+        res.writeHead(502, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Chat service unavailable' }));
+      } else if (res.destroy) {
+        res.destroy();
+      }
+    }
+  }
+});
+app.use(chatSocketProxy);
+
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ limit: '1mb', extended: true }));
+
+// Las rutas /internal de los servicios (webhooks entre servicios) no se exponen
+app.use(/^\/(auth|api|chat)\/internal(\/|$)/, (req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+// Verify the token once and forward signed X-User-* headers (see config/routes.js)
+app.use(resolveIdentity);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', service: 'gateway' });
@@ -29,11 +81,18 @@ app.use('/auth', proxy(AUTH_SERVICE_URL, {
   proxyReqPathResolver: (req) => {
     // Remove /auth prefix before forwarding
     return req.url.replace(/^\/auth/, '') || '/';
+  },
+  // auth-service limita intentos por IP: se reenvía la IP real del cliente
+  proxyReqOptDecorator: (proxyReqOpts, srcReq) => {
+    proxyReqOpts.headers['x-forwarded-for'] = srcReq.ip;
+    return proxyReqOpts;
   }
 }));
 
 // Route: /api/* -> Core Service
 app.use('/api', proxy(CORE_SERVICE_URL, {
+  // Uploads multipart a /media (máx. 5MB por imagen)
+  limit: '10mb',
   proxyReqPathResolver: (req) => {
     // Remove /api prefix before forwarding
     return req.url.replace(/^\/api/, '') || '/';
@@ -48,9 +107,13 @@ app.use('/chat', proxy(CHAT_SERVICE_URL, {
   }
 }));
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Gateway service running on port ${PORT}`);
   console.log(`   /auth/* -> ${AUTH_SERVICE_URL}`);
   console.log(`   /api/* -> ${CORE_SERVICE_URL}`);
   console.log(`   /chat/* -> ${CHAT_SERVICE_URL}`);
+  console.log(`   /chat/socket.io (ws) -> ${CHAT_SERVICE_URL}/socket.io`);
 });
+
+// Los upgrades a WebSocket no pasan por Express
+server.on('upgrade', chatSocketProxy.upgrade);
@@ -0,0 +1,50 @@
+const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('huequitas-shared/sessions');
+const { stripIdentityHeaders, signIdentityHeaders } = require('huequitas-shared/identity');
+const { getAuthPolicy } = require('../config/routes');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+// Verifica el token una sola vez en el gateway y propaga la identidad firmada.
+// Con GATEWAY_AUTH=false solo se limpian las cabeceras X-User-* del cliente.
+const GATEWAY_AUTH = process.env.GATEWAY_AUTH !== 'false';
+
+const resolveIdentity = async (req, res, next) => {
+  stripIdentityHeaders(req.headers);
+
+  if (!GATEWAY_AUTH) return next();
+
+  const policy = getAuthPolicy(req.method, req.path);
+  if (policy === 'public') return next();
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    if (policy === 'required') {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+    return next();
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  try {
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, token))) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+  } catch (err) {
+    console.error('Session check error:', err.message);
+    return res.status(503).json({ error: 'Authentication service unavailable' });
+  }
+
+  signIdentityHeaders(req.headers, decoded);
+  next();
+};
+
+module.exports = resolveIdentity;
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// Webhooks de eventos de auth-service: auth-service firma y cada servicio verifica
+// con este mismo módulo.
+
+// Secreto compartido entre auth-service y los servicios. Sin él se rechazan todos los eventos.
+const WEBHOOK_SECRET = process.env.EVENT_WEBHOOK_SECRET || null;
+// Ventana de validez de una firma
+const MAX_EVENT_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Firma un evento (HMAC-SHA256 de "timestamp.body")
+ * @param {string} timestamp - Date.now() como texto, va en X-Event-Timestamp
+ * @param {string} body - Cuerpo JSON tal como se envía
+ * @returns {string} Valor de X-Event-Signature
+ */
+const signEvent = (timestamp, body) =>
+  crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Verifica un webhook de eventos de auth-service (HMAC-SHA256 de "timestamp.body")
+ * @param {Buffer} rawBody - Cuerpo sin parsear
+ * @param {Object} headers - req.headers
+ * @returns {{ valid: boolean, status?: number, message?: string, event?: Object }}
+ */
+const verifyEvent = (rawBody, headers) => {
+  if (!WEBHOOK_SECRET) {
+    return { valid: false, status: 503, message: 'Events are not enabled' };
+  }
+
+  const signature = headers['x-event-signature'] || '';
+  const timestamp = headers['x-event-timestamp'] || '';
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : '';
+  const expected = signEvent(timestamp, body);
+
+  const valid = signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  if (!valid || Math.abs(Date.now() - Number(timestamp)) > MAX_EVENT_AGE_MS) {
+    return { valid: false, status: 401, message: 'Invalid event signature' };
+  }
+
+  try {
+    return { valid: true, event: JSON.parse(body) };
+  } catch (error) {
+    return { valid: false, status: 400, message: 'Invalid event payload' };
+  }
+};
+
+module.exports = { signEvent, verifyEvent };
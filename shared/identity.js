@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+// Identidad que el gateway propaga a los servicios en cabeceras X-User-* firmadas.
+// El gateway firma y cada servicio verifica con este mismo módulo.
+
+// Secreto compartido entre el gateway y los servicios. Sin él el gateway no propaga
+// identidad y los servicios ignoran las cabeceras X-User-*.
+const IDENTITY_SECRET = process.env.GATEWAY_IDENTITY_SECRET || null;
+// Ventana de validez de una firma del gateway
+const MAX_IDENTITY_AGE_MS = 60000;
+
+// Orden canónico de los campos firmados
+const IDENTITY_FIELDS = ['id', 'email', 'name', 'role', 'verified', 'sid', 'exp'];
+
+const headerName = (field) => `x-user-${field}`;
+
+const computeSignature = (values, timestamp) => crypto
+  .createHmac('sha256', IDENTITY_SECRET)
+  .update([...values, timestamp].join('\n'))
+  .digest('hex');
+
+// Elimina cualquier X-User-* enviado por el cliente
+const stripIdentityHeaders = (headers) => {
+  Object.keys(headers)
+    .filter(header => header.toLowerCase().startsWith('x-user-'))
+    .forEach(header => delete headers[header]);
+};
+
+/**
+ * Agrega las cabeceras X-User-* firmadas con HMAC-SHA256 a partir del payload del JWT
+ * @param {Object} headers - req.headers (se modifica)
+ * @param {Object} user - Payload verificado { userId, email, name, role, emailVerified, sid, exp }
+ */
+const signIdentityHeaders = (headers, user) => {
+  if (!IDENTITY_SECRET) return;
+
+  // encodeURIComponent mantiene las cabeceras en ASCII (nombres con tildes)
+  const values = {
+    id: encodeURIComponent(String(user.userId)),
+    email: encodeURIComponent(user.email || ''),
+    name: encodeURIComponent(user.name || ''),
+    role: encodeURIComponent(user.role || 'user'),
+    verified: user.emailVerified ? '1' : '0',
+    sid: encodeURIComponent(user.sid || ''),
+    exp: String(user.exp || '')
+  };
+  const timestamp = String(Date.now());
+
+  IDENTITY_FIELDS.forEach(field => {
+    headers[headerName(field)] = values[field];
+  });
+  headers['x-user-timestamp'] = timestamp;
+  headers['x-user-signature'] = computeSignature(IDENTITY_FIELDS.map(field => values[field]), timestamp);
+};
+
+/**
+ * Lee la identidad propagada por el gateway.
+ * @param {Object} headers - req.headers
+ * @returns {{ user?: Object, status?: number, error?: string }|null}
+ *   null si la petición no trae identidad del gateway (o no hay secreto configurado)
+ */
+const verifyIdentityHeaders = (headers) => {
+  const signature = headers['x-user-signature'];
+  if (!IDENTITY_SECRET || !signature) return null;
+
+  const timestamp = headers['x-user-timestamp'] || '';
+  const values = IDENTITY_FIELDS.map(field => headers[headerName(field)] || '');
+  const expected = computeSignature(values, timestamp);
+
+  const valid = signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  if (!valid || Math.abs(Date.now() - Number(timestamp)) > MAX_IDENTITY_AGE_MS) {
+    return { status: 401, error: 'Invalid identity signature' };
+  }
+
+  const [id, email, name, role, verified, sid, exp] = values.map(decodeURIComponent);
+  if (Number(exp) * 1000 < Date.now()) {
+    return { status: 403, error: 'Invalid or expired token' };
+  }
+
+  return { user: { userId: id, email, name, role, emailVerified: verified === '1', sid, exp: Number(exp) } };
+};
+
+module.exports = {
+  stripIdentityHeaders,
+  signIdentityHeaders,
+  verifyIdentityHeaders
+};
@@ -0,0 +1,38 @@
+// Consulta a auth-service si la sesión de un access token sigue activa.
+// El resultado se cachea por sesión para no llamar a auth-service en cada request;
+// una sesión revocada deja de aceptarse como máximo tras SESSION_CACHE_TTL_MS.
+const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://localhost:3001';
+const SESSION_CACHE_TTL_MS = parseInt(process.env.SESSION_CACHE_TTL_MS) || 30000;
+const SESSION_CHECK_TIMEOUT_MS = 3000;
+const MAX_CACHE_ENTRIES = 10000;
+
+const cache = new Map(); // sid -> { active, expiresAt }
+
+/**
+ * @param {string} sid - ID de sesión (claim `sid` del token)
+ * @param {string} token - Access token, se reenvía a GET /verify
+ * @returns {Promise<boolean>} Lanza un error si auth-service no responde
+ */
+const isSessionActive = async (sid, token) => {
+  const cached = cache.get(sid);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.active;
+  }
+
+  const response = await fetch(`${AUTH_SERVICE_URL}/verify`, {
+    headers: { Authorization: `Bearer ${token}` },
+    signal: AbortSignal.timeout(SESSION_CHECK_TIMEOUT_MS)
+  });
+
+  if (response.status >= 500) {
+    throw new Error(`Auth service responded ${response.status}`);
+  }
+
+  const active = response.ok;
+  if (cache.size >= MAX_CACHE_ENTRIES) cache.clear();
+  cache.set(sid, { active, expiresAt: Date.now() + SESSION_CACHE_TTL_MS });
+
+  return active;
+};
+
+module.exports = { isSessionActive };